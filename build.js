@@ -35,6 +35,21 @@ if(typeof window!=="undefined"){
         autoRenderMarkdown: Mertex.autoRenderMarkdown,
         initMarkdownRenderer: Mertex.initMarkdownRenderer,
         selfCorrectRender: Mertex.selfCorrectRender,
+        renderToString: Mertex.renderToString,
+        renderToStream: Mertex.renderToStream,
+        sanitizeMarkup: Mertex.sanitizeMarkup,
+        StreamSession: Mertex.StreamSession,
+        RenderWorkerClient: Mertex.RenderWorkerClient,
+        startRenderWorker: Mertex.startRenderWorker,
+        RenderCache: Mertex.RenderCache,
+        createMemoryStorage: Mertex.createMemoryStorage,
+        createLocalStorage: Mertex.createLocalStorage,
+        createIndexedDBStorage: Mertex.createIndexedDBStorage,
+        StreamRecorder: Mertex.StreamRecorder,
+        recordStream: Mertex.recordStream,
+        replayTrace: Mertex.replayTrace,
+        checkStreamEquivalence: Mertex.checkStreamEquivalence,
+        diffDom: Mertex.diffDom,
         VERSION: Mertex.VERSION
     });
 
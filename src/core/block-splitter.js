@@ -0,0 +1,151 @@
+/**
+ * Block splitter - Finds the part of a streaming document that can no longer change
+ *
+ * A top-level block is stable once a blank line has closed it and the next
+ * block has started in a way that cannot be folded back into it. Everything
+ * before that point renders to the same HTML no matter what arrives later,
+ * so the streaming renderer only has to re-render what follows.
+ */
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})/;
+const LIST_ITEM_RE = /^\s{0,3}(?:[-*+]|\d{1,9}[.)])(?:\s|$)/;
+const REFERENCE_DEF_RE = /^\s{0,3}\[[^\]]+\]:/m;
+const HTML_OPEN_RE = /^ {0,3}<([A-Za-z][A-Za-z0-9-]*)(?=[\s/>]|$)/;
+const HTML_COMMENT_RE = /^ {0,3}<!--/;
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+/**
+ * Count unescaped occurrences of a delimiter in a line
+ * @param {string} line
+ * @param {string} delim
+ * @returns {number}
+ */
+function countDelimiter(line, delim) {
+    let count = 0;
+    let pos = line.indexOf(delim);
+    while (pos !== -1) {
+        if (pos === 0 || line[pos - 1] !== '\\' || delim[0] === '\\') count++;
+        pos = line.indexOf(delim, pos + delim.length);
+    }
+    return count;
+}
+
+/**
+ * Opening minus closing tags of one element name in a line
+ * @param {string} line
+ * @param {string} name
+ * @returns {number}
+ */
+function tagBalance(line, name) {
+    const opens = line.match(new RegExp('<' + name + '(?=[\\s/>]|$)', 'gi')) || [];
+    const closes = line.match(new RegExp('</' + name + '\\s*>', 'gi')) || [];
+    return opens.length - closes.length;
+}
+
+/**
+ * Whether the text has a reference-style link definition (`[id]: url`),
+ * which can change how links anywhere in the document render
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasReferenceDefinition(text) {
+    return REFERENCE_DEF_RE.test(text);
+}
+
+/**
+ * Find the offsets of the finished blocks' ends after `from`.
+ *
+ * Scanning starts at `from`, which must itself be a block boundary (0 or a
+ * value previously returned by this function).
+ *
+ * @param {string} text - Full accumulated markdown
+ * @param {number} from - Offset of a known boundary to resume scanning from
+ * @returns {number[]} Ascending offsets (> from) where a finished block ends
+ *   and the next one starts; the last one starts the open tail
+ */
+export function findStableBoundaries(text, from = 0) {
+    if (!text || from >= text.length) return [];
+
+    // Reference definitions can change the rendering of earlier links,
+    // so documents that use them are never frozen
+    if (REFERENCE_DEF_RE.test(text.substring(from))) return [];
+
+    const boundaries = [];
+    let fence = null;        // { char, length } while inside a fenced code block
+    let html = null;         // { name, depth } while inside a raw HTML element
+    let comment = false;     // inside a <!-- ... --> block
+    let displayMath = false; // inside $$ ... $$
+    let bracketMath = false; // inside \[ ... \]
+    let blockHasList = false; // current block contains list items
+    let sawBlank = false;
+
+    let lineStart = from;
+    while (lineStart < text.length) {
+        const newline = text.indexOf('\n', lineStart);
+        // The last line is still being written ("2" may become "2. b"); it can
+        // start a block but never confirm anything on its own
+        const lineEnd = newline === -1 ? text.length : newline;
+        const line = text.substring(lineStart, lineEnd);
+        const isBlank = line.trim() === '';
+
+        if (fence) {
+            const match = line.match(FENCE_RE);
+            if (match && match[1][0] === fence.char && match[1].length >= fence.length &&
+                line.trim() === match[1]) {
+                fence = null;
+            }
+        } else if (html) {
+            // Blank lines inside a <div> etc. don't end it: its pieces
+            // would be sanitized apart and lose their nesting
+            html.depth += tagBalance(line, html.name);
+            if (html.depth <= 0) html = null;
+        } else if (comment) {
+            if (line.includes('-->')) comment = false;
+        } else if (!displayMath && !bracketMath && isBlank) {
+            sawBlank = true;
+        } else {
+            if (sawBlank && !displayMath && !bracketMath) {
+                // A new block starts here; the previous one is finished unless
+                // this line could still belong to it
+                const indented = /^\s/.test(line);
+                const continuesList = blockHasList && LIST_ITEM_RE.test(line);
+                if (!indented && !continuesList && newline !== -1) {
+                    boundaries.push(lineStart);
+                }
+                if (!indented) blockHasList = false;
+                sawBlank = false;
+            }
+
+            const match = line.match(FENCE_RE);
+            if (match && !displayMath && !bracketMath) {
+                fence = { char: match[1][0], length: match[1].length };
+            } else {
+                if (countDelimiter(line, '$$') % 2 === 1) displayMath = !displayMath;
+                if (!bracketMath && countDelimiter(line, '\\[') > countDelimiter(line, '\\]')) {
+                    bracketMath = true;
+                } else if (bracketMath && countDelimiter(line, '\\]') > 0) {
+                    bracketMath = false;
+                }
+            }
+            if (LIST_ITEM_RE.test(line)) blockHasList = true;
+
+            // A comment runs to its -->, blank lines and all
+            if (!fence && HTML_COMMENT_RE.test(line) && !line.substring(line.indexOf('<!--') + 4).includes('-->')) {
+                comment = true;
+            }
+
+            const tag = !fence && line.match(HTML_OPEN_RE);
+            if (tag && !VOID_TAGS.includes(tag[1].toLowerCase())) {
+                const depth = tagBalance(line, tag[1]);
+                if (depth > 0) html = { name: tag[1], depth };
+            }
+        }
+
+        if (newline === -1) break;
+        lineStart = newline + 1;
+    }
+
+    return boundaries;
+}
+
+export default { findStableBoundaries, hasReferenceDefinition };
@@ -1,79 +1,532 @@
 /**
- * IncrementalContentRenderer - Full Replace with Selective KaTeX
+ * IncrementalContentRenderer - Block-Level Reconciliation with Selective KaTeX
+ *
+ * Each update renders the full content to HTML, splits it into top-level
+ * blocks and compares them against the blocks already in the DOM. Only the
+ * blocks whose markup changed are replaced, so finished KaTeX, code and
+ * mermaid nodes survive across chunks.
  */
 
-import { hashBase36 } from '../utils/hash.js';
+import { hashCode, hashBase36 } from '../utils/hash.js';
+import { isAborted, raceAbort } from '../utils/abort.js';
+import { runLimited } from '../utils/concurrency-limiter.js';
+import { now } from '../utils/clock.js';
+import { RenderCache } from '../utils/render-cache.js';
+import { createCursor, placeCursor, removeCursor } from '../utils/cursor.js';
+import { saveSelection, restoreSelection } from '../utils/selection.js';
+import { MermaidHandler } from '../handlers/mermaid-handler.js';
+
+function getMermaid() {
+    if (typeof mermaid !== 'undefined') return mermaid;
+    if (typeof window !== 'undefined' && window.mermaid) return window.mermaid;
+    return null;
+}
+
+/**
+ * Cut a streaming mermaid body back to its last complete line, normalized the
+ * way MermaidHandler.protect() normalizes finished diagrams
+ * @param {string} source - Raw fence body
+ * @returns {string|null} Null until there is a header plus one statement
+ */
+function completeStatements(source) {
+    const end = source.lastIndexOf('\n');
+    if (end === -1) return null;
+    const code = source.substring(0, end).split('\n').map(line => line.trimEnd()).join('\n').trim();
+    return code.split('\n').filter(line => line.trim()).length >= 2 ? code : null;
+}
+
+/**
+ * Whether a cache ({ get, set }, optionally has) holds key, without counting
+ * a hit or miss where the cache keeps statistics
+ */
+function isCached(cache, key) {
+    return typeof cache.has === 'function' ? cache.has(key) : cache.get(key) !== undefined;
+}
 
 export class IncrementalContentRenderer {
-    constructor() {
-        this.processedFormulas = new Set();
+    /**
+     * @param {Object} options
+     * @param {boolean|HTMLElement|Function} [options.cursor=true] - Streaming cursor:
+     *   false for none, an element, or a factory returning one
+     * @param {boolean|Object} [options.mermaidSkeleton=true] - Show a skeleton for
+     *   diagrams that haven't rendered yet; `{ preview: false }` drops the source preview
+     * @param {boolean|Object} [options.mermaidPreview=false] - Render the partial source
+     *   of a diagram that is still streaming; `{ interval }` sets the minimum ms between attempts
+     * @param {RenderCache|Map} [options.mermaidCache] - Diagram cache, e.g. shared with
+     *   other renderers (see StreamSession); defaults to a private RenderCache
+     * @param {RenderCache|Map} [options.mathCache] - Formula cache for ```katex blocks
+     * @param {number} [options.maxFormulas=500] - Formula signatures remembered
+     *   before the least recently used one is forgotten
+     * @param {ConcurrencyLimiter} [options.limiter] - Queues mermaid renders
+     * @param {boolean} [options.preserveSelection=true] - Keep the user's selection
+     *   and focus across patches
+     */
+    constructor(options = {}) {
+        this.cursorOption = options.cursor;
+        this.skeletonOptions = options.mermaidSkeleton === false ? null
+            : (typeof options.mermaidSkeleton === 'object' ? options.mermaidSkeleton : {});
+        this.previewOptions = options.mermaidPreview
+            ? { interval: 500, ...(typeof options.mermaidPreview === 'object' ? options.mermaidPreview : {}) }
+            : null;
+        this.partial = { code: null, id: null, at: -Infinity }; // last partial mermaid attempt
+        this.partialRenders = 0;
+        this.cursor = undefined; // created on first render
+        this.processedFormulas = new RenderCache({ maxEntries: options.maxFormulas }); // signature -> true
         this.lastContent = '';
         this.renderCount = 0;
-        this.mermaidCache = new Map(); // id -> outerHTML string
+        // Rendered output doesn't depend on the stream, so reset() keeps the caches
+        this.mermaidCache = options.mermaidCache || new RenderCache(); // id -> { svg, partial }
+        this.mathCache = options.mathCache || null;
+        this.limiter = options.limiter || null;
+        this.blocks = []; // [{ key, node }] in DOM order
+        this.blocksReused = 0;
+        this.blocksPatched = 0;
+        this.rowsAppended = 0;
+        this.preserveSelection = options.preserveSelection !== false;
+        this.selectionsRestored = 0;
     }
 
     reset() {
         this.processedFormulas.clear();
         this.lastContent = '';
         this.renderCount = 0;
-        this.mermaidCache.clear();
+        this.partial = { code: null, id: null, at: -Infinity };
+        this.partialRenders = 0;
+        this.blocks = [];
+        this.blocksReused = 0;
+        this.blocksPatched = 0;
+        this.rowsAppended = 0;
     }
     
-    async appendNewContent(targetElement, fullContent, renderMarkdown) {
+    /**
+     * Render content into the target element, patching only changed blocks
+     * @param {HTMLElement} targetElement - Element to render into
+     * @param {string} fullContent - Full accumulated content
+     * @param {Function|Object} render - Render function `(md, opts) => result`,
+     *   or an already computed `{ html, mermaidMap, katexMap }` result
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting on mermaid renders
+     * @param {Function} [options.emit] - Receives 'mermaid' and 'math' events
+     *   for diagrams and ```katex blocks rendered in this cycle
+     * @returns {Promise<boolean>} True if the DOM was updated
+     */
+    async appendNewContent(targetElement, fullContent, render, options = {}) {
         if (!targetElement || !fullContent) return false;
         if (fullContent === this.lastContent) return false;
 
         this.renderCount++;
-        const startTime = typeof performance !== 'undefined' ? performance.now() : Date.now();
-
-        const existingCursor = targetElement.querySelector('.streaming-cursor');
-        if (existingCursor) existingCursor.remove();
+        const startTime = now();
 
-        const fullRenderedHtml = await renderMarkdown(fullContent, { katex: true });
-        const html = typeof fullRenderedHtml === 'object' ? fullRenderedHtml.html : fullRenderedHtml;
-        targetElement.innerHTML = html;
+        const result = typeof render === 'function' ? await render(fullContent, { katex: true }) : render;
+        const html = typeof result === 'object' ? result.html : result;
+        this.keepSelection(targetElement, () => {
+            this.removeCursor(targetElement);
+            this.patchBlocks(targetElement, html);
+        });
 
-        // Restore cached mermaid SVGs, or render new ones
-        const placeholders = targetElement.querySelectorAll('.mermaid-placeholder');
-        if (placeholders.length > 0) {
-            const mermaidLib = (typeof mermaid !== 'undefined') ? mermaid :
-                               (typeof window !== 'undefined' && window.mermaid) ? window.mermaid : null;
-
-            for (const ph of placeholders) {
-                const id = ph.getAttribute('data-mermaid-id');
-                if (this.mermaidCache.has(id)) {
-                    const temp = document.createElement('div');
-                    temp.innerHTML = this.mermaidCache.get(id);
-                    ph.replaceWith(temp.firstChild);
-                } else if (mermaidLib && this.mermaidSources && this.mermaidSources.has(id)) {
-                    // Render for the first time
-                    try {
-                        const code = this.mermaidSources.get(id);
-                        const uniqueId = 'mermaid-' + id + '-' + Date.now();
-                        const { svg } = await mermaidLib.render(uniqueId, code);
-                        const container = document.createElement('div');
-                        container.setAttribute('data-mermaid-id', id);
-                        container.innerHTML = svg;
-                        this.mermaidCache.set(id, container.outerHTML);
-                        ph.replaceWith(container);
-                    } catch(e) { /* will retry next tick or on finalize */ }
-                }
-            }
+        if (typeof result === 'object' && result.mermaidMap && result.mermaidMap.size > 0) {
+            this.mermaidSources = result.mermaidMap;
+        }
+        await this.renderMermaidPlaceholders(targetElement, options);
+        if (isAborted(options.signal)) return false;
+        if (typeof result === 'object' && result.mermaidSkeleton) {
+            this.renderOpenSkeleton(targetElement, result.mermaidSkeleton);
+            await this.renderPartialMermaid(targetElement, result.mermaidSkeleton, options);
+        } else {
+            this.partial = { code: null, id: null, at: -Infinity };
+        }
+        if (typeof result === 'object' && result.katexMap) {
+            this.renderKaTeXPlaceholders(targetElement, result.katexMap, options);
         }
 
-        const cursor = document.createElement('span');
-        cursor.className = 'streaming-cursor';
-        targetElement.appendChild(cursor);
+        if (this.cursor === undefined) this.cursor = createCursor(this.cursorOption);
+        if (this.cursor) placeCursor(targetElement, this.cursor);
         
         this.lastContent = fullContent;
         
-        const duration = (typeof performance !== 'undefined' ? performance.now() : Date.now()) - startTime;
+        const duration = now() - startTime;
         if (this.renderCount % 10 === 0) {
             console.log('[IncrementalRenderer] Render #' + this.renderCount + ': ' + duration.toFixed(2) + 'ms');
         }
         
         return true;
     }
+
+    /**
+     * Take the streaming cursor out of the element
+     * @param {HTMLElement} targetElement
+     */
+    removeCursor(targetElement) {
+        if (this.cursor) {
+            removeCursor(this.cursor);
+        } else if (this.cursor === undefined && targetElement) {
+            const stale = targetElement.querySelector('.streaming-cursor');
+            if (stale) stale.remove();
+        }
+    }
+
+    /**
+     * Run a synchronous change to targetElement, then put the user's selection
+     * and focus back on the text they were on if the change moved them
+     * @param {HTMLElement} targetElement
+     * @param {() => any} mutate
+     * @returns {any} What mutate returns
+     */
+    keepSelection(targetElement, mutate) {
+        const saved = this.preserveSelection ? saveSelection(targetElement, this.cursor) : null;
+        const result = mutate();
+        if (saved && restoreSelection(targetElement, saved)) this.selectionsRestored++;
+        return result;
+    }
+
+    /**
+     * Reconcile the top-level blocks of targetElement with freshly rendered HTML.
+     * Blocks are keyed by their rendered markup; the unchanged leading and
+     * trailing runs are kept and only the blocks in between are swapped.
+     * @param {HTMLElement} targetElement - Element holding the rendered blocks
+     * @param {string} html - Freshly rendered HTML for the whole content
+     * @returns {Node[]} Nodes that were inserted into the DOM
+     */
+    patchBlocks(targetElement, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const freshNodes = Array.from(template.content.childNodes).filter(node =>
+            node.nodeType !== 3 || node.textContent.trim() !== ''
+        );
+        const fresh = freshNodes.map(node => ({ key: this.blockKey(node), node }));
+
+        // Anything we did not put there (first render, external innerHTML
+        // changes) means the tracked blocks can't be trusted any more
+        const owned = this.blocks.length > 0 &&
+            this.blocks.every(block => block.node.parentNode === targetElement) &&
+            targetElement.childNodes.length === this.blocks.length;
+        if (!owned) {
+            targetElement.innerHTML = '';
+            this.blocks = [];
+        }
+
+        const old = this.blocks;
+        let start = 0;
+        while (start < old.length && start < fresh.length && old[start].key === fresh[start].key) {
+            start++;
+        }
+        let oldEnd = old.length;
+        let freshEnd = fresh.length;
+        while (oldEnd > start && freshEnd > start && old[oldEnd - 1].key === fresh[freshEnd - 1].key) {
+            oldEnd--;
+            freshEnd--;
+        }
+
+        // A table that only gained rows keeps its node; the rows are appended
+        if (oldEnd - start === 1 && freshEnd - start === 1) {
+            const rows = this.appendTableRows(old[start], fresh[start]);
+            if (rows) {
+                old[start] = { key: fresh[start].key, node: old[start].node };
+                this.rowsAppended += rows.length;
+                this.blocksReused += this.blocks.length;
+                return rows;
+            }
+        }
+
+        const anchor = oldEnd < old.length ? old[oldEnd].node : null;
+        for (let i = start; i < oldEnd; i++) {
+            old[i].node.remove();
+        }
+        const inserted = fresh.slice(start, freshEnd);
+        for (const block of inserted) {
+            targetElement.insertBefore(block.node, anchor);
+        }
+
+        this.blocks = old.slice(0, start).concat(inserted, old.slice(oldEnd));
+        this.blocksReused += this.blocks.length - inserted.length;
+        this.blocksPatched += inserted.length;
+
+        return inserted.map(block => block.node);
+    }
+
+    /**
+     * Restore cached mermaid SVGs, or render new ones. Placeholders left in
+     * untouched blocks are ones that failed earlier, so they are retried too.
+     * Once the signal has fired only cached diagrams are restored.
+     * @param {HTMLElement} targetElement
+     * @param {Object} [options] - { signal, emit }
+     */
+    async renderMermaidPlaceholders(targetElement, options = {}) {
+        const { signal, emit } = options;
+        const placeholders = targetElement.querySelectorAll('.mermaid-placeholder');
+        if (placeholders.length === 0) return;
+
+        const mermaidLib = getMermaid();
+
+        for (const ph of placeholders) {
+            const id = ph.getAttribute('data-mermaid-id');
+            const entry = this.mermaidCache.get(id);
+            if (entry) {
+                // A partial preview of exactly this source is as good as a final render
+                if (entry.partial) this.mermaidCache.set(id, { svg: entry.svg, partial: false });
+                this.replaceNode(ph, this.createDiagram(id, entry.svg));
+                continue;
+            } else if (mermaidLib && !isAborted(signal) && this.mermaidSources && this.mermaidSources.has(id)) {
+                // Render for the first time
+                try {
+                    const code = this.mermaidSources.get(id);
+                    const start = now();
+                    const uniqueId = 'mermaid-' + id + '-' + Date.now();
+                    const { svg } = await raceAbort(
+                        runLimited(this.limiter, () => mermaidLib.render(uniqueId, code), signal),
+                        signal
+                    );
+                    const container = this.createDiagram(id, svg);
+                    this.mermaidCache.set(id, { svg, partial: false });
+                    this.replaceNode(ph, container);
+                    if (emit) emit('mermaid', { id, source: code, duration: now() - start, element: container });
+                    continue;
+                } catch(e) { /* will retry next tick or on finalize, unless aborted */ }
+            }
+
+            // Not rendered (yet): keep a skeleton in its place until it is
+            if (this.skeletonOptions && !isAborted(signal) && this.mermaidSources && this.mermaidSources.has(id)) {
+                MermaidHandler.renderSkeleton(ph, this.mermaidSources.get(id), this.skeletonOptions);
+            }
+        }
+    }
+
+    /**
+     * Show the skeleton for a ```mermaid fence that is still streaming. The
+     * placeholder's markup never changes, so the same node is kept (and
+     * updated) from chunk to chunk until the fence closes.
+     * @param {HTMLElement} targetElement
+     * @param {{ code: string }} skeleton
+     */
+    renderOpenSkeleton(targetElement, skeleton) {
+        if (!this.skeletonOptions) return;
+        const node = targetElement.querySelector('.mermaid-skeleton-placeholder');
+        if (node) MermaidHandler.renderSkeleton(node, skeleton.code, this.skeletonOptions);
+    }
+
+    /**
+     * Best-effort preview of a diagram whose fence is still open: the source
+     * up to its last complete line is validated with mermaid.parse() and, if
+     * it parses, rendered into the skeleton. Attempts are throttled, and a
+     * source that fails keeps the previous preview on screen.
+     * @param {HTMLElement} targetElement
+     * @param {{ source: string }} skeleton
+     * @param {Object} [options] - { signal, emit }
+     */
+    async renderPartialMermaid(targetElement, skeleton, options = {}) {
+        if (!this.previewOptions || isAborted(options.signal)) return;
+        const mermaidLib = getMermaid();
+        const node = targetElement.querySelector('.mermaid-skeleton-placeholder');
+        if (!mermaidLib || !node) return;
+
+        const code = completeStatements(skeleton.source);
+        const start = now();
+        if (!code || code === this.partial.code || start - this.partial.at < this.previewOptions.interval) return;
+        this.partial.code = code;
+        this.partial.at = start;
+
+        const id = 'MERMAID_' + hashCode(code);
+        let entry = this.mermaidCache.get(id);
+        if (!entry) {
+            try {
+                if (typeof mermaidLib.parse === 'function') {
+                    const valid = await raceAbort(Promise.resolve(mermaidLib.parse(code)), options.signal);
+                    if (valid === false) return;
+                }
+                const { svg } = await raceAbort(
+                    runLimited(this.limiter, () => mermaidLib.render('mermaid-partial-' + id + '-' + Date.now(), code), options.signal),
+                    options.signal
+                );
+                entry = { svg, partial: true };
+            } catch (e) {
+                return; // keep the last successful preview
+            }
+
+            // Only the latest partial render is worth keeping, and never persisted
+            const previous = this.partial.id && this.mermaidCache.has(this.partial.id)
+                ? this.mermaidCache.get(this.partial.id) : null;
+            if (previous && previous.partial) this.mermaidCache.delete(this.partial.id);
+            this.mermaidCache.set(id, entry, { persist: false });
+            this.partial.id = id;
+            this.partialRenders++;
+        }
+
+        if (!node.isConnected) return;
+        let preview = node.querySelector('.mermaid-partial-preview');
+        if (!preview) {
+            preview = document.createElement('div');
+            preview.className = 'mermaid-partial-preview';
+            const header = node.querySelector('.mermaid-skeleton-header');
+            node.insertBefore(preview, header ? header.nextSibling : node.firstChild);
+        }
+        preview.replaceChildren(this.createDiagram(id, entry.svg));
+        node.classList.add('mermaid-skeleton-live');
+        if (options.emit) {
+            options.emit('mermaid', { id, source: code, duration: now() - start, element: preview, partial: true });
+        }
+    }
+
+    /**
+     * Build the element a rendered diagram is shown in
+     * @param {string} id - Mermaid id from the placeholder
+     * @param {string} svg
+     * @returns {HTMLElement}
+     */
+    createDiagram(id, svg) {
+        const container = document.createElement('div');
+        container.className = 'mermaid-container';
+        container.setAttribute('data-mermaid-id', id);
+        container.innerHTML = svg;
+        return container;
+    }
+
+    /**
+     * Render ```katex block placeholders in the same cycle as the patch.
+     * Failures are left as placeholders for finalize() (and self-correction).
+     * @param {HTMLElement} targetElement
+     * @param {Map} katexMap - id -> { code, display }
+     * @param {Object} [options] - { emit }
+     */
+    renderKaTeXPlaceholders(targetElement, katexMap, options = {}) {
+        const placeholders = targetElement.querySelectorAll('.katex-placeholder');
+        if (placeholders.length === 0 || katexMap.size === 0) return;
+
+        const katexLib = (typeof katex !== 'undefined') ? katex :
+                         (typeof window !== 'undefined' && window.katex) ? window.katex : null;
+        if (!katexLib) return;
+
+        for (const ph of placeholders) {
+            const id = ph.getAttribute('data-katex-id');
+            const info = katexMap.get(id);
+            if (!info) continue;
+            const start = now();
+            const key = (info.display ? '$$' : '$') + info.code;
+            try {
+                const container = document.createElement('div');
+                container.className = info.display ? 'katex-display-wrapper' : 'katex-inline-wrapper';
+                let rendered = this.mathCache ? this.mathCache.get(key) : undefined;
+                if (rendered === undefined) {
+                    rendered = katexLib.renderToString(info.code, {
+                        displayMode: info.display,
+                        throwOnError: true,
+                        trust: true,
+                        strict: false,
+                        output: 'htmlAndMathml'
+                    });
+                    if (this.mathCache) this.mathCache.set(key, rendered);
+                }
+                container.innerHTML = rendered;
+                this.replaceNode(ph, container);
+                if (options.emit) options.emit('math', { id, source: info.code, display: info.display, duration: now() - start });
+            } catch (e) { /* left for finalize */ }
+        }
+    }
+
+    /**
+     * Take over blocks that are already in the element (e.g. rendered by
+     * renderToString() on a server) as if patchBlocks() had put html there.
+     * Each top-level node must line up with a block of html: same tag and,
+     * unless the block holds a formula or diagram placeholder, the same text.
+     * @param {HTMLElement} targetElement
+     * @param {string} html - What the renderer would render for the content
+     * @returns {boolean} False, with nothing adopted, if the DOM doesn't match
+     */
+    adoptBlocks(targetElement, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const isBlock = node => node.nodeType === 1 || (node.nodeType === 3 && node.textContent.trim() !== '');
+        const fresh = Array.from(template.content.childNodes).filter(isBlock);
+        const existing = Array.from(targetElement.childNodes).filter(isBlock);
+        const text = node => node.textContent.replace(/\s+/g, ' ').trim();
+
+        const matches = existing.length === fresh.length && existing.every((node, i) =>
+            node.nodeName === fresh[i].nodeName &&
+            (fresh[i].nodeType === 1 && fresh[i].querySelector('.katex-placeholder, .mermaid-placeholder') ||
+                /(katex|mermaid)-placeholder/.test(fresh[i].className) ||
+                text(node) === text(fresh[i]))
+        );
+        if (!matches) return false;
+
+        // Whitespace and comments between blocks aren't tracked
+        Array.from(targetElement.childNodes).forEach(node => {
+            if (!existing.includes(node)) node.remove();
+        });
+        this.blocks = existing.map((node, i) => ({ key: this.blockKey(fresh[i]), node }));
+        this.blocksReused += this.blocks.length;
+        return true;
+    }
+
+    /**
+     * Seed the caches from formulas and diagrams already rendered in the
+     * element, so re-rendering its content doesn't run KaTeX or mermaid again.
+     * Formulas are keyed by the TeX source KaTeX keeps in its MathML annotation.
+     * @param {HTMLElement} targetElement
+     * @returns {{ formulas: number, diagrams: number }} Entries added
+     */
+    primeCaches(targetElement) {
+        const primed = { formulas: 0, diagrams: 0 };
+        if (this.mathCache) {
+            for (const node of targetElement.querySelectorAll('.katex-display, .katex')) {
+                const display = node.classList.contains('katex-display');
+                if (!display && node.parentElement.closest('.katex-display, .katex')) continue;
+                const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+                if (!annotation) continue;
+                const key = (display ? '$$' : '$') + annotation.textContent;
+                if (!isCached(this.mathCache, key)) {
+                    this.mathCache.set(key, node.outerHTML);
+                    primed.formulas++;
+                }
+            }
+        }
+        for (const container of targetElement.querySelectorAll('.mermaid-container[data-mermaid-id]')) {
+            const id = container.getAttribute('data-mermaid-id');
+            const svg = container.querySelector('svg');
+            if (svg && !isCached(this.mermaidCache, id)) {
+                this.mermaidCache.set(id, { svg: svg.outerHTML, partial: false });
+                primed.diagrams++;
+            }
+        }
+        return primed;
+    }
+
+    /**
+     * Append the rows a streamed table gained since its last render. Keys are
+     * compared rather than the live node, which may hold rendered formulas.
+     * @param {{ key: string, node: Node }} current - Block in the DOM
+     * @param {{ key: string, node: Node }} next - Freshly rendered block
+     * @returns {Node[]|null} The appended rows, or null if next is not
+     *   current plus rows
+     */
+    appendTableRows(current, next) {
+        if (current.node.nodeName !== 'TABLE' || next.node.nodeName !== 'TABLE') return null;
+        const head = current.key.replace(/(<\/tbody>)?<\/table>$/, '');
+        if (head === current.key || next.key === current.key || !next.key.startsWith(head)) return null;
+
+        const freshBody = next.node.tBodies[0];
+        if (!freshBody) return null;
+        const body = current.node.tBodies[0];
+        if (!body) {
+            current.node.appendChild(freshBody);
+            return Array.from(freshBody.rows);
+        }
+        const added = Array.from(freshBody.childNodes).slice(body.childNodes.length);
+        for (const node of added) body.appendChild(node);
+        return added.filter(node => node.nodeName === 'TR');
+    }
+
+    blockKey(node) {
+        return node.nodeType === 1 ? node.outerHTML : '#text:' + node.textContent;
+    }
+
+    /**
+     * Swap a node in the DOM, keeping the block list pointing at live nodes
+     * when the replaced node is itself a top-level block.
+     */
+    replaceNode(oldNode, newNode) {
+        const block = this.blocks.find(b => b.node === oldNode);
+        if (block) block.node = newNode;
+        oldNode.replaceWith(newNode);
+    }
     
     applySelectiveKaTeX(container) {
         if (typeof window === 'undefined' || !window.katex) return;
@@ -88,7 +541,7 @@ export class IncrementalContentRenderer {
                     const span = document.createElement('span');
                     window.katex.render(formula, span, { throwOnError: false, displayMode: false });
                     el.replaceWith(span);
-                    this.processedFormulas.add(signature);
+                    this.processedFormulas.set(signature, true);
                 } catch (e) { /* ignore */ }
             }
         });
@@ -103,7 +556,7 @@ export class IncrementalContentRenderer {
                     const div = document.createElement('div');
                     window.katex.render(formula, div, { throwOnError: false, displayMode: true });
                     el.closest('pre').replaceWith(div);
-                    this.processedFormulas.add(signature);
+                    this.processedFormulas.set(signature, true);
                 } catch (e) { /* ignore */ }
             }
         });
@@ -126,7 +579,14 @@ export class IncrementalContentRenderer {
         return {
             renderCount: this.renderCount,
             formulasProcessed: this.processedFormulas.size,
-            contentLength: this.lastContent.length
+            formulasEvicted: this.processedFormulas.stats.evictions,
+            contentLength: this.lastContent.length,
+            blockCount: this.blocks.length,
+            blocksReused: this.blocksReused,
+            blocksPatched: this.blocksPatched,
+            rowsAppended: this.rowsAppended,
+            partialMermaidRenders: this.partialRenders,
+            selectionsRestored: this.selectionsRestored
         };
     }
 }
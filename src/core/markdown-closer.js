@@ -0,0 +1,303 @@
+/**
+ * Markdown closer - Temporarily completes constructs that are still being typed
+ *
+ * While a message streams, its tail is usually cut off mid-construct: an open
+ * code fence, `**bold` without its closer, a `[link](` without its URL. This
+ * pre-pass returns a copy of the tail with those constructs closed (or, when
+ * nothing follows the opener yet, hidden) so marked renders what the finished
+ * text will look like. It is the markdown counterpart of MathProtector's
+ * pending math and is only ever applied to a render copy, never to the
+ * accumulated content.
+ */
+
+const FENCE_RE = /^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const TABLE_ROW_RE = /^\s*\|.*\|\s*$|^[^|]+\|[^|]/;
+const PARTIAL_DELIMITER_RE = /^\s*\|?\s*:?-[-:|\s]*$/;
+const DELIMITER_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const HEADER_START_RE = /^\s{0,3}\|/;
+const EMPHASIS_CHARS = '*_~';
+
+// Fences whose content is handed to a renderer that can't cope with half a
+// diagram; they stay open so marked shows them as plain code
+const RENDERED_FENCE_LANGS = ['mermaid', 'katex'];
+
+/**
+ * Find the fence and display-math state at the end of the text
+ * @param {string[]} lines
+ * @returns {{ fence: Object|null, displayMath: boolean }}
+ */
+function scanBlocks(lines) {
+    let fence = null;
+    let displayMath = false;
+
+    lines.forEach(line => {
+        const match = line.match(FENCE_RE);
+        if (fence) {
+            if (match && match[1][0] === fence.char && match[1].length >= fence.length &&
+                line.trim() === match[1]) {
+                fence = null;
+            }
+        } else if (match && !displayMath) {
+            fence = { char: match[1][0], length: match[1].length, lang: match[2].toLowerCase() };
+        } else if ((line.match(/\$\$/g) || []).length % 2 === 1) {
+            displayMath = !displayMath;
+        }
+    });
+
+    return { fence, displayMath };
+}
+
+/**
+ * Whether the character counts as whitespace for flanking purposes
+ * (start and end of line count as whitespace)
+ */
+function isSpace(ch) {
+    return ch === undefined || /\s/.test(ch);
+}
+
+function isWordChar(ch) {
+    return ch !== undefined && /[\p{L}\p{N}]/u.test(ch);
+}
+
+/**
+ * Close inline constructs on the last line
+ * @param {string} line
+ * @returns {string}
+ */
+function closeInline(line) {
+    const stack = []; // open emphasis runs: { delim, index }
+    let link = null;  // { index, image, stage: 'text'|'url' }
+    let i = 0;
+
+    // A list bullet or heading marker at the start is not emphasis
+    const lead = line.match(/^\s*(?:[*+-]\s+|\d{1,9}[.)]\s+|#{1,6}\s+|>\s*)*/);
+    if (lead) i = lead[0].length;
+
+    while (i < line.length) {
+        const ch = line[i];
+
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+
+        if (ch === '`') {
+            let run = 1;
+            while (line[i + run] === '`') run++;
+            const ticks = '`'.repeat(run);
+            const end = line.indexOf(ticks, i + run);
+            if (end === -1) {
+                // Unclosed code span: close it; nothing inside is markdown
+                return closeTrailing(line, stack, link) + ticks;
+            }
+            i = end + run;
+            continue;
+        }
+
+        if (ch === '$' && line[i + 1] !== undefined && !/[\s\d]/.test(line[i + 1])) {
+            // Leave math (closed or pending) to MathProtector; `$5` is currency
+            const end = line.indexOf('$', i + 1);
+            if (end === -1) return closeTrailing(line.substring(0, i), stack, link) + line.substring(i);
+            i = end + 1;
+            continue;
+        }
+
+        if (link && link.stage === 'text' && ch === ']') {
+            if (line[i + 1] === '(') {
+                link.stage = 'url';
+                i += 2;
+            } else {
+                link = null;
+                i++;
+            }
+            continue;
+        }
+        if (link && link.stage === 'url' && ch === ')') {
+            link = null;
+            i++;
+            continue;
+        }
+        if (ch === '[' || (ch === '!' && line[i + 1] === '[')) {
+            const image = ch === '!';
+            link = { index: i, image, stage: 'text' };
+            i += image ? 2 : 1;
+            continue;
+        }
+        if (link && link.stage === 'url') {
+            i++;
+            continue;
+        }
+
+        if (EMPHASIS_CHARS.includes(ch)) {
+            let run = 1;
+            while (line[i + run] === ch) run++;
+            const delim = ch.repeat(Math.min(run, ch === '~' ? 2 : 3));
+            const before = line[i - 1];
+            const after = line[i + run];
+            const leftFlanking = !isSpace(after);
+            const rightFlanking = !isSpace(before);
+            const intraword = ch === '_' && isWordChar(before) && isWordChar(after);
+
+            if (ch === '~' && run < 2) {
+                // single tilde is plain text
+            } else if (intraword) {
+                // snake_case
+            } else if (rightFlanking && stack.length > 0 && stack[stack.length - 1].delim === delim) {
+                stack.pop();
+            } else if (leftFlanking || i + run === line.length) {
+                stack.push({ delim, index: i });
+            }
+            i += run;
+            continue;
+        }
+
+        i++;
+    }
+
+    return closeTrailing(line, stack, link);
+}
+
+/**
+ * Apply the closers collected by closeInline
+ * @param {string} line - Text up to the point where scanning stopped
+ * @param {Array} stack - Open emphasis runs
+ * @param {Object|null} link - Open link or image
+ * @returns {string}
+ */
+function closeTrailing(line, stack, link) {
+    let text = line;
+    let open = stack.filter(run => run.index < text.length);
+
+    if (link) {
+        if (link.image) {
+            // Half an image URL would only trigger broken requests
+            text = text.substring(0, link.index);
+        } else if (link.stage === 'url') {
+            text = text.replace(/\s+$/, '') + ')';
+        } else {
+            // `[text` may still turn out to be plain brackets; show the text
+            text = text.substring(0, link.index) + text.substring(link.index + 1);
+            open = open.map(run => run.index > link.index ? { ...run, index: run.index - 1 } : run);
+        }
+        open = open.filter(run => run.index < text.length);
+    }
+
+    // Openers with nothing after them yet are dropped rather than closed,
+    // unless they are probably finished text: a run that is the whole line
+    // (`***` or a `*` list marker being typed) or a lone `*` after a space
+    while (open.length > 0 && text.substring(open[open.length - 1].index + open[open.length - 1].delim.length).trim() === '') {
+        const run = open.pop();
+        const literal = text.substring(0, run.index).trim() === '' ||
+            (run.delim.length === 1 && isSpace(text[run.index - 1]));
+        if (!literal) text = text.substring(0, run.index) + text.substring(run.index + run.delim.length);
+    }
+    if (open.length === 0) return text;
+
+    text = text.replace(/\s+$/, '');
+    for (let k = open.length - 1; k >= 0; k--) {
+        text += open[k].delim;
+    }
+    return text;
+}
+
+/**
+ * Count the cells of a table row
+ * @param {string} row
+ * @returns {number}
+ */
+function countCells(row) {
+    return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').length;
+}
+
+/**
+ * Whether line `index` starts a block (first line or after a blank line)
+ */
+function startsBlock(lines, index) {
+    return index === 0 || lines[index - 1].trim() === '';
+}
+
+/**
+ * A line that could be the header row of a table still waiting for its
+ * delimiter row: starts with a pipe, has some cell text and a second pipe
+ * (closing the first cell or starting the next), so a line that only starts
+ * with a pipe stays a paragraph
+ */
+function isHeaderCandidate(lines, index) {
+    const line = lines[index];
+    return HEADER_START_RE.test(line) && /[^|\s]/.test(line) &&
+        line.trim().substring(1).replace(/\\\|/g, '').includes('|') && startsBlock(lines, index);
+}
+
+/**
+ * Whether the last line belongs to the body of a table: the block it is in
+ * starts with a header row and a complete delimiter row
+ */
+function inTableBody(lines, last) {
+    let start = last;
+    while (start > 0 && lines[start - 1].trim() !== '') start--;
+    return last >= start + 2 && TABLE_ROW_RE.test(lines[start]) && DELIMITER_RE.test(lines[start + 1]);
+}
+
+/**
+ * Close unterminated markdown constructs at the end of a streaming tail.
+ * @param {string} text - The open tail of the streamed content
+ * @returns {{ text: string, closed: boolean, openFence: { char: string, length: number, lang: string }|null }}
+ *   `text` is the copy to render, `closed` whether it differs from the input,
+ *   `openFence` the fence still open at the end, if any.
+ */
+export function closeMarkdown(text) {
+    if (!text) return { text: text || '', closed: false, openFence: null };
+
+    const lines = text.split('\n');
+    const { fence, displayMath } = scanBlocks(lines);
+
+    if (fence) {
+        const openFence = { char: fence.char, length: fence.length, lang: fence.lang };
+        if (RENDERED_FENCE_LANGS.includes(fence.lang)) {
+            return { text, closed: false, openFence };
+        }
+        const closer = fence.char.repeat(fence.length);
+        const closedText = text + (text.endsWith('\n') ? '' : '\n') + closer + '\n';
+        return { text: closedText, closed: true, openFence };
+    }
+
+    if (displayMath) return { text, closed: false, openFence: null };
+
+    const last = lines.length - 1;
+    const lastLine = lines[last];
+
+    // Header row followed by a half-typed delimiter row
+    if (last > 0 && PARTIAL_DELIMITER_RE.test(lastLine) && TABLE_ROW_RE.test(lines[last - 1]) &&
+        (last === 1 || lines[last - 2].trim() === '')) {
+        const cells = countCells(lines[last - 1]);
+        lines[last] = '|' + ' --- |'.repeat(cells);
+        const closedText = lines.join('\n');
+        return { text: closedText, closed: closedText !== text, openFence: null };
+    }
+
+    // Table rows show up once their line is complete
+    if (lastLine.trim() !== '' && inTableBody(lines, last)) {
+        lines.pop();
+        return { text: lines.join('\n'), closed: true, openFence: null };
+    }
+
+    // A header row (possibly still being typed) renders as a table before
+    // its delimiter row arrives
+    const header = isHeaderCandidate(lines, last) ? last
+        : (last > 0 && /^\s*\|?\s*$/.test(lastLine) && isHeaderCandidate(lines, last - 1) ? last - 1 : -1);
+    if (header !== -1) {
+        const row = header === last ? closeInline(lastLine) : lines[header];
+        const closedLines = lines.slice(0, header).concat(row, '|' + ' --- |'.repeat(countCells(row)));
+        return { text: closedLines.join('\n'), closed: true, openFence: null };
+    }
+
+    if (lastLine.trim() === '' || /^\s{4,}|^\t/.test(lastLine)) {
+        return { text, closed: false, openFence: null };
+    }
+
+    lines[last] = closeInline(lastLine);
+    const closedText = lines.join('\n');
+    return { text: closedText, closed: closedText !== text, openFence: null };
+}
+
+export default { closeMarkdown };
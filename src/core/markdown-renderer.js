@@ -5,20 +5,25 @@
 import { MathProtector } from './math-protector.js';
 import { MermaidHandler } from '../handlers/mermaid-handler.js';
 import { KaTeXHandler } from '../handlers/katex-handler.js';
+import { highlightCode } from '../utils/code-highlighter.js';
+import { sanitizeMarkup } from '../utils/html-sanitizer.js';
 
-function getMarked() {
+function getMarked(libs) {
+    if (libs && libs.marked) return libs.marked;
     if (typeof marked !== 'undefined') return marked;
     if (typeof window !== 'undefined' && window.marked) return window.marked;
     return null;
 }
 
-function getDOMPurify() {
+function getDOMPurify(libs) {
+    if (libs && libs.purify) return libs.purify;
     if (typeof DOMPurify !== 'undefined') return DOMPurify;
     if (typeof window !== 'undefined' && window.DOMPurify) return window.DOMPurify;
     return null;
 }
 
-function getHljs() {
+function getHljs(libs) {
+    if (libs && libs.hljs) return libs.hljs;
     if (typeof hljs !== 'undefined') return hljs;
     if (typeof window !== 'undefined' && window.hljs) return window.hljs;
     return null;
@@ -30,16 +35,73 @@ function getRenderMathInElement() {
     return null;
 }
 
-export async function renderMarkdown(text, options = {}) {
-    if (!text) return { html: '', mermaidMap: new Map(), katexMap: new Map() };
-    
-    const defaults = {
-        breaks: true, gfm: true, headerIds: true, mangle: false,
-        sanitize: false, highlight: true, katex: true,
-        protectMath: true, mermaid: true, katexBlocks: true
-    };
-    
-    const config = { ...defaults, ...options };
+const DEFAULTS = {
+    breaks: true, gfm: true, headerIds: true, mangle: false,
+    sanitize: false, highlight: true, katex: true,
+    protectMath: true, mermaid: true, katexBlocks: true
+};
+
+const SANITIZE_CONFIG = {
+    ALLOWED_TAGS: [
+        'p', 'br', 'strong', 'em', 'u', 's', 'code', 'pre',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'ul', 'ol', 'li', 'blockquote', 'a', 'img',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td',
+        'span', 'div', 'hr', 'del', 'ins', 'sub', 'sup',
+        'svg', 'g', 'path', 'rect', 'circle', 'ellipse', 'line',
+        'polyline', 'polygon', 'text', 'tspan', 'defs', 'marker', 'use', 'foreignObject'
+    ],
+    ALLOWED_ATTR: [
+        'href', 'src', 'alt', 'title', 'class', 'id',
+        'target', 'rel', 'type', 'start',
+        'data-mermaid-id', 'data-mermaid', 'data-katex-id',
+        'd', 'fill', 'stroke', 'stroke-width', 'stroke-dasharray',
+        'transform', 'viewBox', 'width', 'height', 'x', 'y', 'dx', 'dy',
+        'cx', 'cy', 'r', 'points', 'marker-end', 'marker-start',
+        'text-anchor', 'dominant-baseline', 'font-size', 'font-family',
+        'font-weight', 'style', 'xmlns', 'xmlns:xlink', 'xlink:href',
+        'aria-hidden', 'role'
+    ]
+};
+
+/**
+ * Whether DOMPurify is loaded and has a DOM to work with (it has none in a
+ * Web Worker or plain Node)
+ * @param {Object} [libs] - Libraries passed in instead of globals
+ * @returns {boolean}
+ */
+export function canSanitize(libs) {
+    const purify = getDOMPurify(libs);
+    return !!purify && purify.isSupported !== false;
+}
+
+/**
+ * Run the markdown HTML through DOMPurify (when loaded) with the tags and
+ * attributes the pipeline produces. Math placeholders pass through unchanged.
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {Object} [options.libs] - { purify } to use instead of the global
+ * @param {boolean} [options.sanitizeFallback=false] - Use the DOM-free
+ *   sanitizer when DOMPurify is missing or has no DOM
+ * @returns {string}
+ */
+export function sanitizeHtml(html, options = {}) {
+    const purify = getDOMPurify(options.libs);
+    if (options.sanitizeFallback && !canSanitize(options.libs)) return sanitizeMarkup(html, SANITIZE_CONFIG);
+    return purify ? purify.sanitize(html, SANITIZE_CONFIG) : html;
+}
+
+/**
+ * The string stages of the pipeline before sanitizing: protect mermaid,
+ * KaTeX blocks and math, then run marked. Needs no DOM, so it can run in a
+ * worker (see render-worker.js).
+ * @param {string} text
+ * @param {Object} options - As for renderMarkdown()
+ * @returns {{ html: string, mathMap: Map, mermaidMap: Map, katexMap: Map, mermaidSkeleton: Object|null }}
+ *   where html still holds the math placeholders
+ */
+export function parseMarkdown(text, options = {}) {
+    const config = { ...DEFAULTS, ...options };
     let processedText = text;
     let mathMap = new Map();
     let mermaidMap = new Map();
@@ -50,6 +112,14 @@ export async function renderMarkdown(text, options = {}) {
         processedText = mermaidResult.protected;
         mermaidMap = mermaidResult.mermaidMap;
     }
+
+    // Streaming: a fence that is still open becomes a skeleton placeholder
+    let mermaidSkeleton = null;
+    if (config.mermaid && config.mermaidSkeleton) {
+        const openResult = MermaidHandler.protectOpenFence(processedText);
+        processedText = openResult.protected;
+        mermaidSkeleton = openResult.skeleton;
+    }
     
     if (config.katexBlocks && KaTeXHandler.hasKaTeXBlocks(processedText)) {
         const katexResult = KaTeXHandler.protect(processedText);
@@ -64,25 +134,26 @@ export async function renderMarkdown(text, options = {}) {
         mathMap = result.mathMap;
     }
     
-    const markedLib = getMarked();
-    const hljsLib = getHljs();
+    const markedLib = getMarked(config.libs);
+    const hljsLib = getHljs(config.libs);
     
     let html;
     if (markedLib) {
         const renderer = new markedLib.Renderer();
+        // Streaming: the last code block of the tail is the one still open
+        let openCode = null;
+        const walkTokens = config.openCodeBlock
+            ? (token) => { if (token.type === 'code') openCode = token; }
+            : undefined;
         if (config.highlight && hljsLib) {
-            renderer.code = function({ text, lang }) {
+            renderer.code = function(token) {
+                const { text, lang } = token;
                 if (lang && lang.toLowerCase() === 'mermaid') {
                     return '<pre><code class="language-mermaid">' + text + '</code></pre>';
                 }
-                let highlighted = text;
-                if (lang && hljsLib.getLanguage(lang)) {
-                    try { highlighted = hljsLib.highlight(text, { language: lang }).value; }
-                    catch (err) { /* fall through */ }
-                } else {
-                    try { highlighted = hljsLib.highlightAuto(text).value; }
-                    catch (err) { /* fall through */ }
-                }
+                const highlighted = config.codeHighlighter
+                    ? config.codeHighlighter.highlight(hljsLib, text, lang, { open: token === openCode })
+                    : highlightCode(hljsLib, text, lang);
                 const langClass = lang ? ' language-' + lang : '';
                 return '<pre><code class="hljs' + langClass + '">' + highlighted + '</code></pre>';
             };
@@ -90,43 +161,36 @@ export async function renderMarkdown(text, options = {}) {
         markedLib.setOptions({
             breaks: config.breaks, gfm: config.gfm,
         });
-        html = markedLib.parse(processedText, { renderer });
+        html = markedLib.parse(processedText, { renderer, walkTokens });
     } else {
         html = processedText;
     }
-    
-    const purify = getDOMPurify();
-    if (purify) {
-        html = purify.sanitize(html, {
-            ALLOWED_TAGS: [
-                'p', 'br', 'strong', 'em', 'u', 's', 'code', 'pre',
-                'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-                'ul', 'ol', 'li', 'blockquote', 'a', 'img',
-                'table', 'thead', 'tbody', 'tr', 'th', 'td',
-                'span', 'div', 'hr', 'del', 'ins', 'sub', 'sup',
-                'svg', 'g', 'path', 'rect', 'circle', 'ellipse', 'line',
-                'polyline', 'polygon', 'text', 'tspan', 'defs', 'marker', 'use', 'foreignObject'
-            ],
-            ALLOWED_ATTR: [
-                'href', 'src', 'alt', 'title', 'class', 'id',
-                'target', 'rel', 'type', 'start',
-                'data-mermaid-id', 'data-mermaid', 'data-katex-id',
-                'd', 'fill', 'stroke', 'stroke-width', 'stroke-dasharray',
-                'transform', 'viewBox', 'width', 'height', 'x', 'y', 'dx', 'dy',
-                'cx', 'cy', 'r', 'points', 'marker-end', 'marker-start',
-                'text-anchor', 'dominant-baseline', 'font-size', 'font-family',
-                'font-weight', 'style', 'xmlns', 'xmlns:xlink', 'xlink:href',
-                'aria-hidden', 'role'
-            ]
-        });
-    }
+
+    return { html, mathMap, mermaidMap, katexMap, mermaidSkeleton };
+}
+
+export async function renderMarkdown(text, options = {}) {
+    if (!text) return { html: '', mermaidMap: new Map(), katexMap: new Map() };
+
+    const config = { ...DEFAULTS, ...options };
+    const parsed = parseMarkdown(text, config);
+    const { mathMap, mermaidMap, katexMap, mermaidSkeleton } = parsed;
+    let html = sanitizeHtml(parsed.html, config);
     
     if (mathMap.size > 0) {
-        const protector = new MathProtector({ renderOnRestore: config.katex });
+        const protector = new MathProtector({
+            renderOnRestore: config.katex,
+            renderPending: config.renderPendingMath !== false,
+            onRender: config.onMathRender,
+            cache: config.mathCache,
+            katexLib: config.libs && config.libs.katex
+        });
         html = await protector.restore(html, mathMap, config.selfCorrect);
     }
 
-    return { html, mermaidMap, katexMap };
+    const result = { html, mermaidMap, katexMap };
+    if (mermaidSkeleton) result.mermaidSkeleton = mermaidSkeleton;
+    return result;
 }
 
 export async function renderMarkdownLegacy(text, options = {}) {
@@ -148,7 +212,7 @@ export async function renderMarkdownInElement(element, options = {}) {
     element.classList.add('markdown-rendered');
     
     if (options.katexBlocks !== false && katexMap && katexMap.size > 0) {
-        try { await KaTeXHandler.renderInElement(element, katexMap, options.selfCorrect); }
+        try { await KaTeXHandler.renderInElement(element, katexMap, options.selfCorrect, { cache: options.mathCache }); }
         catch (err) { console.error('[MarkdownRenderer] KaTeX block error:', err); }
     }
     
@@ -172,7 +236,7 @@ export async function renderMarkdownInElement(element, options = {}) {
     }
     
     if (options.mermaid !== false && mermaidMap && mermaidMap.size > 0) {
-        try { await MermaidHandler.renderInElement(element, mermaidMap, options.selfCorrect); }
+        try { await MermaidHandler.renderInElement(element, mermaidMap, options.selfCorrect, { cache: options.mermaidCache }); }
         catch (err) { console.error('[MarkdownRenderer] Mermaid error:', err); }
     }
 }
@@ -5,6 +5,8 @@
 import { encodeBase64, decodeBase64 } from '../utils/hash.js';
 import { looksLikeCurrency, isCurrencyRange } from '../utils/currency-detector.js';
 import { selfCorrectRender } from '../handlers/self-correct.js';
+import { findCodeRegions, isInCodeRegion } from '../utils/code-regions.js';
+import { now } from '../utils/clock.js';
 
 function getKaTeX() {
     if (typeof katex !== 'undefined') return katex;
@@ -12,12 +14,30 @@ function getKaTeX() {
     return null;
 }
 
+function escapeSource(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const PENDING_MATH_RE = /\\|\^|\{|begin|frac/;
+
+function isDelimiter(value) {
+    return !!value && !(value instanceof Map) && typeof value.left === 'string' && typeof value.right === 'string';
+}
+
 export class MathProtector {
     constructor(options = {}) {
         this.counter = 0;
         this.currencyCounter = 0;
         this.options = {
             renderOnRestore: options.renderOnRestore !== false,
+            // false: unclosed formulas are restored as escaped source text
+            renderPending: options.renderPending !== false,
+            // called with { source, display, pending, duration } for each formula rendered
+            onRender: typeof options.onRender === 'function' ? options.onRender : null,
+            // { get, set } store of rendered formulas, e.g. shared by a StreamSession
+            cache: options.cache || null,
+            // katex to render with instead of the global one (server-side rendering)
+            katexLib: options.katexLib || null,
             debug: options.debug || false
         };
         
@@ -73,11 +93,9 @@ export class MathProtector {
                 this.currencyMap.size > 0 ? Array.from(this.currencyMap.entries()) : '(empty)');
         }
         
-        // Step 2: Process all delimiter types in priority order
+        // Step 2: Replace the math outside code with placeholders
         try {
-            for (const delim of this.delimiters) {
-                protectedContent = this.extractAndReplace(protectedContent, delim, mathMap);
-            }
+            protectedContent = this.extractAndReplace(protectedContent, mathMap);
         } catch (error) {
             console.error('[MathProtector] Error during math protection:', error);
         }
@@ -130,7 +148,7 @@ export class MathProtector {
         // Sync path (default — preserves backward compatibility)
         let restored = content;
         const sortedPlaceholders = Array.from(mathMap.keys()).sort().reverse();
-        const katexLib = getKaTeX();
+        const katexLib = this.options.katexLib || getKaTeX();
 
         for (const placeholder of sortedPlaceholders) {
             const mathInfo = mathMap.get(placeholder);
@@ -146,7 +164,9 @@ export class MathProtector {
             }
 
             let replacement;
-            if (this.options.renderOnRestore && katexLib) {
+            if (mathInfo.isPending && !this.options.renderPending) {
+                replacement = escapeSource(original);
+            } else if (this.options.renderOnRestore && katexLib) {
                 replacement = this._renderMathSync(original, mathInfo, katexLib);
             } else {
                 replacement = original;
@@ -161,7 +181,7 @@ export class MathProtector {
     async _restoreAsync(content, mathMap, selfCorrect) {
         let restored = content;
         const sortedPlaceholders = Array.from(mathMap.keys()).sort().reverse();
-        const katexLib = getKaTeX();
+        const katexLib = this.options.katexLib || getKaTeX();
 
         for (const placeholder of sortedPlaceholders) {
             const mathInfo = mathMap.get(placeholder);
@@ -177,7 +197,9 @@ export class MathProtector {
             }
 
             let replacement;
-            if (this.options.renderOnRestore && katexLib) {
+            if (mathInfo.isPending && !this.options.renderPending) {
+                replacement = escapeSource(original);
+            } else if (this.options.renderOnRestore && katexLib) {
                 replacement = await this._renderMathWithSelfCorrect(original, mathInfo, katexLib, selfCorrect);
             } else {
                 replacement = original;
@@ -189,14 +211,6 @@ export class MathProtector {
         return restored;
     }
     
-    isInsideBackticks(content, position) {
-        let backtickCount = 0;
-        for (let i = 0; i < position; i++) {
-            if (content[i] === '`') backtickCount++;
-        }
-        return backtickCount % 2 === 1;
-    }
-    
     _renderMathSync(original, mathInfo, katexLib) {
         try {
             const innerContent = mathInfo.innerContent;
@@ -204,13 +218,19 @@ export class MathProtector {
 
             if (!innerContent || !innerContent.trim()) return original;
 
-            const rendered = katexLib.renderToString(innerContent, {
-                displayMode: isDisplay,
-                throwOnError: false,
-                trust: true,
-                strict: false,
-                output: 'htmlAndMathml'
-            });
+            const start = now();
+            let rendered = this._cached(innerContent, isDisplay);
+            if (rendered === undefined) {
+                rendered = katexLib.renderToString(innerContent, {
+                    displayMode: isDisplay,
+                    throwOnError: false,
+                    trust: true,
+                    strict: false,
+                    output: 'htmlAndMathml'
+                });
+                this._store(innerContent, isDisplay, rendered);
+            }
+            this._reportRender(mathInfo, innerContent, start);
 
             if (isDisplay) {
                 return '<div class="katex-display-wrapper">' + rendered + '</div>';
@@ -232,6 +252,12 @@ export class MathProtector {
             return html;
         };
 
+        const start = now();
+        const cached = this._cached(innerContent, isDisplay);
+        if (cached !== undefined) {
+            this._reportRender(mathInfo, innerContent, start);
+            return wrapResult(cached);
+        }
         try {
             const rendered = katexLib.renderToString(innerContent, {
                 displayMode: isDisplay,
@@ -240,6 +266,8 @@ export class MathProtector {
                 strict: false,
                 output: 'htmlAndMathml'
             });
+            this._store(innerContent, isDisplay, rendered);
+            this._reportRender(mathInfo, innerContent, start);
             return wrapResult(rendered);
         } catch (error) {
             const result = await selfCorrectRender(
@@ -255,175 +283,185 @@ export class MathProtector {
                 },
                 selfCorrect
             );
-            if (result.success) return wrapResult(result.result);
+            if (result.success) {
+                // Keyed by the original source so the same mistake isn't fixed twice
+                this._store(innerContent, isDisplay, result.result);
+                this._reportRender(mathInfo, result.code, start);
+                return wrapResult(result.result);
+            }
             return original;
         }
     }
+
+    _cached(source, display) {
+        if (!this.options.cache) return undefined;
+        const html = this.options.cache.get((display ? '$$' : '$') + source);
+        return html === null ? undefined : html;
+    }
+
+    _store(source, display, html) {
+        // Error markup is not cached: a renderer with self-correct should still get to fix it
+        if (!this.options.cache || html.includes('katex-error')) return;
+        this.options.cache.set((display ? '$$' : '$') + source, html);
+    }
+
+    _reportRender(mathInfo, source, start) {
+        if (!this.options.onRender) return;
+        try {
+            this.options.onRender({
+                source,
+                display: mathInfo.display,
+                pending: mathInfo.isPending,
+                duration: now() - start
+            });
+        } catch (e) {
+            console.error('[MathProtector] onRender callback threw:', e);
+        }
+    }
     
-    extractAndReplace(content, delim, mathMap) {
-        let result = content;
-        let searchPos = 0;
-        
-        while (searchPos < result.length) {
-            const leftPos = result.indexOf(delim.left, searchPos);
-            if (leftPos === -1) break;
-            
-            // Skip escaped dollar signs at the start (but allow \$ inside math for literal dollar)
-            if (delim.left === '$' && leftPos > 0 && result[leftPos - 1] === '\\') {
-                searchPos = leftPos + 1;
+    /**
+     * Whether `position` is in code: a code span, code block or raw HTML
+     * @deprecated Use findCodeRegions() from utils/code-regions.js once per text
+     * @param {string} content
+     * @param {number} position
+     * @returns {boolean}
+     */
+    isInsideBackticks(content, position) {
+        return isInCodeRegion(findCodeRegions(content), position);
+    }
+
+    /**
+     * Replace each formula with a placeholder in one pass. Code is found
+     * first (see findCodeRegions) and skipped; elsewhere the delimiters are
+     * tried in priority order at each position, so `$$` wins over `$`. A
+     * formula can't run into code, and `$` math ends at a paragraph break.
+     * @param {string} content
+     * @param {Map} mathMap - Filled with placeholder -> formula info
+     * @returns {string} content with placeholders
+     */
+    extractAndReplace(content, mathMap, ...legacy) {
+        // Callers written for the old (content, delim, mathMap) signature
+        if (isDelimiter(mathMap)) return this.extractAndReplaceDelimiter(content, mathMap, legacy[0]);
+        return this._extract(content, mathMap, this.delimiters);
+    }
+
+    /**
+     * The old one-delimiter-per-pass form of extractAndReplace()
+     * @deprecated Use extractAndReplace(content, mathMap), which handles every
+     *   delimiter in one pass
+     * @param {string} content
+     * @param {Object} delim - { left, right, display }
+     * @param {Map} mathMap - Filled with placeholder -> formula info
+     * @returns {string} content with placeholders
+     */
+    extractAndReplaceDelimiter(content, delim, mathMap) {
+        return this._extract(content, mathMap, [delim]);
+    }
+
+    /** extractAndReplace() over the given delimiters, in priority order */
+    _extract(content, mathMap, delimiters) {
+        const regions = findCodeRegions(content);
+        let region = 0;
+        let paragraphEnd = -1;
+        let result = '';
+        let copied = 0;
+        let pos = 0;
+
+        while (pos < content.length) {
+            if (region < regions.length && pos >= regions[region][0]) {
+                pos = Math.max(pos, regions[region][1]);
+                region++;
                 continue;
             }
-            
-            // Skip dollar signs inside backticks (code)
-            if (delim.left === '$' && this.isInsideBackticks(result, leftPos)) {
-                searchPos = leftPos + 1;
+
+            const char = content[pos];
+            const delim = (char === '$' || char === '\\') &&
+                delimiters.find(d => content.startsWith(d.left, pos));
+            if (!delim) {
+                // An escaped dollar never opens math (but may sit inside it)
+                pos += char === '\\' && content[pos + 1] === '$' ? 2 : 1;
                 continue;
             }
-            
-            let rightPos;
-            if (delim.left === '$$') {
-                let tempPos = leftPos + delim.left.length;
-                rightPos = -1;
-                while (tempPos < result.length) {
-                    const foundPos = result.indexOf(delim.right, tempPos);
-                    if (foundPos === -1) break;
-                    rightPos = foundPos;
-                    break;
-                }
-            } else if (delim.left === '$') {
-                // For single $, we need to handle escaped dollars inside the math
-                // e.g., $P_0 = \$100$ should match the whole expression
-                let tempPos = leftPos + delim.left.length;
-                rightPos = -1;
-                
-                // Find the next paragraph boundary (double newline)
-                const nextParagraphBreak = result.indexOf('\n\n', leftPos);
-                
-                while (tempPos < result.length) {
-                    const foundPos = result.indexOf(delim.right, tempPos);
-                    if (foundPos === -1) break;
-                    
-                    // Stop if we've crossed a paragraph boundary - don't match $ across paragraphs
-                    if (nextParagraphBreak !== -1 && foundPos > nextParagraphBreak) {
-                        break;
-                    }
-                    
-                    // Check if this $ is escaped (preceded by backslash)
-                    if (foundPos > 0 && result[foundPos - 1] === '\\') {
-                        tempPos = foundPos + 1;
-                        continue;
-                    }
-                    
-                    rightPos = foundPos;
-                    break;
-                }
-            } else {
-                rightPos = result.indexOf(delim.right, leftPos + delim.left.length);
-            }
-            
-            if (rightPos === -1) {
-                // No closing delimiter found in this paragraph
-                // Only treat as pending math if:
-                // 1. It has LaTeX-like syntax AND
-                // 2. It doesn't look like a standalone currency value
-                const pendingContent = result.substring(leftPos);
-                const afterDelim = pendingContent.substring(delim.left.length);
-                
-                // For single $, check if this looks like a standalone currency (e.g., $50)
-                // Don't convert standalone currencies to pending math
-                if (delim.left === '$') {
-                    // Extract just the content up to the next whitespace/newline
-                    const immediateContent = afterDelim.split(/[\s\n]/)[0];
-                    if (looksLikeCurrency(immediateContent)) {
-                        // This is just a standalone currency like "$50", skip it
-                        searchPos = leftPos + 1;
-                        continue;
-                    }
-                }
-                
-                // Only create pending math if it truly looks like incomplete math
-                // AND the content within the same paragraph has math-like syntax
-                const sameParagraphContent = result.indexOf('\n\n', leftPos);
-                const checkContent = sameParagraphContent !== -1
-                    ? result.substring(leftPos + delim.left.length, sameParagraphContent)
-                    : afterDelim;
-                
-                if (checkContent.length > 0 && (
-                    checkContent.includes('\\') ||
-                    checkContent.includes('^') ||
-                    checkContent.includes('{') ||
-                    checkContent.includes('begin') ||
-                    checkContent.includes('frac')
-                )) {
-                    // Limit pending math to the current paragraph only
-                    const endPos = sameParagraphContent !== -1 ? sameParagraphContent : result.length;
-                    const limitedPendingContent = result.substring(leftPos, endPos);
-                    
-                    const placeholder = '::PENDINGMATH' + this.counter + '::';
-                    this.counter++;
-                    
-                    mathMap.set(placeholder, {
-                        original: limitedPendingContent,
-                        encodedOriginal: this.encodeBase64(limitedPendingContent),
-                        display: delim.display,
-                        innerContent: checkContent,
-                        delimiter: delim,
-                        isPending: true
-                    });
-                    
-                    result = result.substring(0, leftPos) + placeholder + result.substring(endPos);
-                    searchPos = leftPos + placeholder.length;
-                    continue;
-                }
-                break;
-            }
-            
-            const mathStart = leftPos;
-            const mathEnd = rightPos + delim.right.length;
-            const mathExpression = result.substring(mathStart, mathEnd);
-            
-            const innerContent = result.substring(leftPos + delim.left.length, rightPos);
-            if (!innerContent.trim()) {
-                searchPos = mathEnd;
-                continue;
+
+            if (paragraphEnd < pos) {
+                paragraphEnd = content.indexOf('\n\n', pos);
+                if (paragraphEnd === -1) paragraphEnd = content.length;
             }
-            
-            // Skip content that spans multiple lines (not valid inline math for single $)
-            if (delim.left === '$' && (innerContent.includes('\n') || innerContent.includes('\r'))) {
-                searchPos = leftPos + 1;
-                continue;
+            const limit = region < regions.length ? regions[region][0] : content.length;
+            const match = this._matchFormula(content, pos, delim, limit, paragraphEnd);
+
+            if (match.math) {
+                const { end, innerContent, isPending } = match.math;
+                const original = content.substring(pos, end);
+                const placeholder = (isPending ? '::PENDINGMATH' : '::MATH_') + this.counter + '::';
+                this.counter++;
+
+                mathMap.set(placeholder, {
+                    original,
+                    encodedOriginal: this.encodeBase64(original),
+                    display: delim.display,
+                    innerContent,
+                    delimiter: delim,
+                    isPending
+                });
+                result += content.substring(copied, pos) + placeholder;
+                copied = end;
             }
-            
-            // Skip content that contains currency placeholders (they were protected for a reason)
-            if (/::CUR\d+::/.test(innerContent)) {
-                searchPos = leftPos + 1;
-                continue;
+            pos = match.next;
+        }
+
+        return result + content.substring(copied);
+    }
+
+    /**
+     * Match the formula `delim` opens at `start`
+     * @param {number} limit - Start of the next code region; the formula must end before it
+     * @param {number} paragraphEnd - Where `$` math has to be closed by
+     * @returns {{ next: number, math?: Object }} Where to go on scanning, and
+     *   { end, innerContent, isPending } when there is a formula
+     */
+    _matchFormula(content, start, delim, limit, paragraphEnd) {
+        const open = start + delim.left.length;
+        let close = -1;
+
+        if (delim.left === '$') {
+            // Skip escaped dollars inside the math, e.g. $P_0 = \$100$
+            let found = content.indexOf('$', open);
+            while (found !== -1 && found < paragraphEnd && content[found - 1] === '\\') {
+                found = content.indexOf('$', found + 1);
             }
-            
-            // Use the shared currency detection utility
-            // Skip this $ if it looks like currency - it will be left as regular text
-            if (delim.left === '$' && looksLikeCurrency(innerContent)) {
-                searchPos = leftPos + 1;
-                continue;
+            if (found !== -1 && found < paragraphEnd) close = found;
+        } else {
+            close = content.indexOf(delim.right, open);
+        }
+
+        // Closed, but with code in between: not a formula, and not pending either
+        if (close !== -1 && close + delim.right.length > limit) return { next: open };
+
+        if (close === -1) {
+            // No closing delimiter: while streaming this may be a formula still
+            // being written. Only treat it as pending math when the rest of the
+            // paragraph has LaTeX-like syntax and it isn't a currency like "$50"
+            const end = Math.min(limit, paragraphEnd);
+            const rest = content.substring(open, end);
+            if (delim.left === '$' && looksLikeCurrency(rest.split(/\s/)[0])) {
+                return { next: start + 1 };
             }
-            
-            const placeholder = '::MATH_' + this.counter + '::';
-            this.counter++;
-            
-            mathMap.set(placeholder, {
-                original: mathExpression,
-                encodedOriginal: this.encodeBase64(mathExpression),
-                display: delim.display,
-                innerContent: innerContent,
-                delimiter: delim,
-                isPending: false
-            });
-            
-            result = result.substring(0, mathStart) + placeholder + result.substring(mathEnd);
-            searchPos = mathStart + placeholder.length;
+            if (!PENDING_MATH_RE.test(rest)) return { next: open };
+            return { next: end, math: { end, innerContent: rest, isPending: true } };
         }
-        
-        return result;
+
+        const end = close + delim.right.length;
+        const innerContent = content.substring(open, close);
+        if (!innerContent.trim()) return { next: end };
+
+        // Single $ math is on one line, and is rejected when it holds currency
+        // (ranges were protected for a reason) or looks like currency itself
+        if (delim.left === '$' && /[\r\n]/.test(innerContent)) return { next: start + 1 };
+        if (/::CUR\d+::/.test(innerContent)) return { next: start + 1 };
+        if (delim.left === '$' && looksLikeCurrency(innerContent)) return { next: start + 1 };
+
+        return { next: end, math: { end, innerContent, isPending: false } };
     }
     
     reset() {
@@ -0,0 +1,166 @@
+/**
+ * Server-side rendering - The markdown pipeline as a string, without globals
+ *
+ * renderToString() takes the libraries as arguments instead of looking for
+ * browser globals, sanitizes with the DOM-free fallback when DOMPurify has no
+ * window, and returns finished HTML. KaTeX (inline math and ```katex blocks)
+ * is rendered in full. Mermaid needs a browser, so each diagram is left as
+ * its placeholder with the source inside as a code block. The client renders
+ * the placeholders, and the code block shows until it does.
+ *
+ * renderToStream() does the same for a markdown stream, e.g. an LLM response
+ * piped through a server: each top-level block is rendered and yielded once
+ * it is complete, the open tail only when the stream ends.
+ */
+
+import { renderMarkdown } from './markdown-renderer.js';
+import { findStableBoundaries } from './block-splitter.js';
+import { readTextDeltas } from '../utils/stream-source.js';
+import { isAborted } from '../utils/abort.js';
+
+const KATEX_PLACEHOLDER_RE = /<div class="katex-placeholder" data-katex-id="([^"]+)"><\/div>/g;
+const MERMAID_PLACEHOLDER_RE = /<div class="mermaid-placeholder" data-mermaid-id="([^"]+)"><\/div>/g;
+const FENCE_RE = /^\s*(`{3,}|~{3,})/;
+// [text][id], [id][] or [id] - but not [text](url), \[ or an empty [ ]
+const REFERENCE_LABEL_RE = /(?<!\\)\[[^\]\n]*[^\]\s\\][^\]\n]*\](?!\()/;
+const TASK_MARKER_RE = /^\s*(?:[-*+]|\d{1,9}[.)])\s+\[[ xX]\]/;
+
+function getKaTeX(katexLib) {
+    if (katexLib && typeof katexLib === 'object') return katexLib;
+    if (typeof katex !== 'undefined') return katex;
+    if (typeof window !== 'undefined' && window.katex) return window.katex;
+    return null;
+}
+
+/**
+ * Whether a block has a bracketed label outside code that a reference
+ * definition further on could turn into a link
+ */
+function mayUseReference(source) {
+    let fence = null;
+    return source.split('\n').some(line => {
+        const match = line.match(FENCE_RE);
+        if (fence) {
+            if (match && match[1][0] === fence[0] && match[1].length >= fence.length) fence = null;
+            return false;
+        }
+        if (match) {
+            fence = match[1];
+            return false;
+        }
+        return REFERENCE_LABEL_RE.test(line.replace(/(`+)[\s\S]*?\1/g, '').replace(TASK_MARKER_RE, ''));
+    });
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render ```katex placeholders to the markup KaTeXHandler.renderInElement()
+ * puts in the DOM. A block that fails keeps its placeholder.
+ */
+function renderKaTeXBlocks(html, katexMap, katexLib, cache) {
+    if (!katexLib || katexMap.size === 0) return html;
+    return html.replace(KATEX_PLACEHOLDER_RE, (placeholder, id) => {
+        const info = katexMap.get(id);
+        if (!info) return placeholder;
+        const key = (info.display ? '$$' : '$') + info.code;
+        let rendered = cache ? cache.get(key) : undefined;
+        if (rendered === undefined || rendered === null) {
+            try {
+                rendered = katexLib.renderToString(info.code, {
+                    displayMode: info.display,
+                    throwOnError: true,
+                    trust: true,
+                    strict: false,
+                    output: 'htmlAndMathml'
+                });
+            } catch (err) {
+                return placeholder;
+            }
+            if (cache) cache.set(key, rendered);
+        }
+        const wrapper = info.display ? 'katex-display-wrapper' : 'katex-inline-wrapper';
+        return '<div class="' + wrapper + '">' + rendered + '</div>';
+    });
+}
+
+/**
+ * Render markdown to an HTML string, e.g. on a server
+ * @param {string} markdown
+ * @param {Object} [options] - renderMarkdown() options, plus the libraries
+ * @param {Object} [options.marked] - marked (required unless it is a global)
+ * @param {Object} [options.purify] - DOMPurify bound to a window, e.g.
+ *   createDOMPurify(new JSDOM('').window). Without one the DOM-free
+ *   sanitizer is used
+ * @param {Object} [options.katex] - katex, to pre-render math
+ * @param {Object} [options.hljs] - highlight.js, to highlight code
+ * @returns {Promise<string>} HTML
+ */
+export async function renderToString(markdown, options = {}) {
+    const { marked, purify, hljs, katex: katexOption, ...rest } = options;
+    const katexLib = getKaTeX(katexOption);
+    const config = {
+        ...rest,
+        katex: katexOption !== false,
+        libs: { marked, purify, hljs, katex: katexLib },
+        sanitizeFallback: true
+    };
+
+    const result = await renderMarkdown(markdown, config);
+    let html = result.html;
+    if (config.katexBlocks !== false && config.katex) {
+        html = renderKaTeXBlocks(html, result.katexMap, katexLib, config.mathCache);
+    }
+    if (result.mermaidMap.size > 0) {
+        html = html.replace(MERMAID_PLACEHOLDER_RE, (placeholder, id) => {
+            const code = result.mermaidMap.get(id);
+            if (code === undefined) return placeholder;
+            return placeholder.replace('></div>', '><pre><code class="language-mermaid">' + escapeHtml(code) + '</code></pre></div>');
+        });
+    }
+    return html;
+}
+
+/**
+ * Render a markdown stream to HTML fragments, one per completed top-level
+ * block. Concatenated, the fragments are the renderToString() output of the
+ * whole text. A sent fragment can't change any more, so a block with a label
+ * like `[id]` is held back, with everything after it, until the stream ends:
+ * a reference definition further on could still make it a link.
+ * @param {AsyncIterable|Iterable|ReadableStream|Response} source -
+ *   Markdown chunks (see readTextDeltas)
+ * @param {Object} [options] - renderToString() options, plus:
+ * @param {'text'|'sse'|'ndjson'} [options.format='text'] - How the source is framed
+ * @param {Function} [options.extract] - Pulls the text out of an SSE event or NDJSON line
+ * @param {AbortSignal} [options.signal] - Stops reading; the open tail is dropped
+ * @returns {AsyncGenerator<string>} HTML fragments
+ */
+export async function* renderToStream(source, options = {}) {
+    const { format, extract, signal, ...renderOptions } = options;
+    let content = '';
+    let rendered = 0;
+    let holding = false;
+
+    for await (const text of readTextDeltas(source, { format, extract, signal })) {
+        content += text;
+        if (holding) continue;
+        for (const boundary of findStableBoundaries(content, rendered)) {
+            const block = content.substring(rendered, boundary);
+            if (mayUseReference(block)) {
+                holding = true;
+                break;
+            }
+            const html = await renderToString(block, renderOptions);
+            rendered = boundary;
+            if (html) yield html;
+        }
+    }
+
+    if (isAborted(signal) || rendered >= content.length) return;
+    const html = await renderToString(content.substring(rendered), renderOptions);
+    if (html) yield html;
+}
+
+export default renderToString;
@@ -0,0 +1,297 @@
+/**
+ * Render worker - Runs the string stages of the pipeline off the main thread
+ *
+ * Math protection, marked, highlighting and katex.renderToString() need no
+ * DOM, so for long streamed answers they can run in a Web Worker. The worker
+ * script calls startRenderWorker(); the page wraps the Worker in a
+ * RenderWorkerClient (or passes it as the `worker` option) and gets back the
+ * same { html, mermaidMap, katexMap } result renderMarkdown() produces. The
+ * main thread only sanitizes when the worker couldn't (DOMPurify needs a DOM),
+ * swaps the pre-rendered formulas in, patches the DOM and runs mermaid.
+ */
+
+import { parseMarkdown, sanitizeHtml, canSanitize } from './markdown-renderer.js';
+import { MathProtector } from './math-protector.js';
+import { CodeHighlighter } from '../utils/code-highlighter.js';
+import { RenderCache } from '../utils/render-cache.js';
+
+// Options that can be cloned into the worker; functions, caches and the
+// highlighter stay behind (the worker keeps a cache and highlighter per stream)
+const WORKER_OPTIONS = [
+    'breaks', 'gfm', 'headerIds', 'highlight', 'katex', 'protectMath', 'mermaid',
+    'katexBlocks', 'mermaidSkeleton', 'openCodeBlock', 'renderPendingMath', 'debug'
+];
+
+// Streams whose state a worker keeps at once; past this the least recently
+// used one starts over, in case its client never released it
+const MAX_STREAMS = 64;
+
+let nextStream = 0;
+
+function getKaTeX() {
+    if (typeof katex !== 'undefined') return katex;
+    if (typeof window !== 'undefined' && window.katex) return window.katex;
+    return null;
+}
+
+/**
+ * Listen on a Web Worker / worker scope (EventTarget) or a worker_threads
+ * Worker / MessagePort (EventEmitter)
+ * @returns {() => void} Function that removes the listener
+ */
+function listen(target, type, handler) {
+    if (typeof target.on === 'function') {
+        target.on(type, handler);
+        return () => target.off(type, handler);
+    }
+    const listener = (event) => handler(type === 'message' ? event.data : event);
+    target.addEventListener(type, listener);
+    return () => target.removeEventListener(type, listener);
+}
+
+function createStreamState() {
+    return { codeHighlighter: new CodeHighlighter(), mathCache: new RenderCache({ namespace: 'math' }) };
+}
+
+function emptyResult() {
+    return { html: '', mermaidMap: new Map(), katexMap: new Map() };
+}
+
+/**
+ * The worker half of the pipeline: parse, sanitize if DOMPurify can run
+ * here, and render every formula to a string. Everything returned can be
+ * structured-cloned.
+ * @param {string} text
+ * @param {Object} options - renderMarkdown() options plus the worker's
+ *   `codeHighlighter` and `mathCache`
+ * @returns {Object} { html, sanitized, mathMap, formulas, mermaidMap,
+ *   katexMap, mermaidSkeleton } where html still holds the math placeholders
+ *   and formulas maps each placeholder to { html, report }
+ */
+export function renderStrings(text, options = {}) {
+    const parsed = parseMarkdown(text, options);
+    const sanitized = canSanitize();
+    const formulas = new Map();
+
+    if (parsed.mathMap.size > 0 && options.katex !== false && getKaTeX()) {
+        let report = null;
+        const protector = new MathProtector({
+            renderPending: options.renderPendingMath !== false,
+            onRender: (info) => { report = info; },
+            cache: options.mathCache
+        });
+        parsed.mathMap.forEach((info, placeholder) => {
+            report = null;
+            const html = protector.restore(placeholder, new Map([[placeholder, info]]));
+            formulas.set(placeholder, { html, report });
+        });
+    }
+
+    return {
+        html: sanitized ? sanitizeHtml(parsed.html) : parsed.html,
+        sanitized,
+        mathMap: parsed.mathMap,
+        formulas,
+        mermaidMap: parsed.mermaidMap,
+        katexMap: parsed.katexMap,
+        mermaidSkeleton: parsed.mermaidSkeleton
+    };
+}
+
+/**
+ * The main-thread half: sanitize if the worker couldn't, then put the
+ * formulas in. Formulas the worker didn't render (no KaTeX there) or that
+ * failed while self-correct is on are rendered here.
+ * @param {Object} result - From renderStrings()
+ * @param {Object} config - The caller's renderMarkdown() options
+ * @returns {Promise<Object>} { html, mermaidMap, katexMap, mermaidSkeleton? }
+ */
+export async function finishRender(result, config = {}) {
+    let html = result.sanitized ? result.html : sanitizeHtml(result.html);
+    const remaining = new Map();
+
+    result.mathMap.forEach((info, placeholder) => {
+        const formula = result.formulas.get(placeholder);
+        if (!formula || (config.selfCorrect?.fix && formula.html.includes('katex-error'))) {
+            remaining.set(placeholder, info);
+            return;
+        }
+        html = html.split(placeholder).join(formula.html);
+        if (formula.report && typeof config.onMathRender === 'function') config.onMathRender(formula.report);
+    });
+
+    if (remaining.size > 0) {
+        const protector = new MathProtector({
+            renderOnRestore: config.katex,
+            renderPending: config.renderPendingMath !== false,
+            onRender: config.onMathRender,
+            cache: config.mathCache
+        });
+        html = await protector.restore(html, remaining, config.selfCorrect);
+    }
+
+    const rendered = { html, mermaidMap: result.mermaidMap, katexMap: result.katexMap };
+    if (result.mermaidSkeleton) rendered.mermaidSkeleton = result.mermaidSkeleton;
+    return rendered;
+}
+
+/**
+ * Serve render requests inside a worker. The markdown libraries are looked
+ * up as globals, as on the main thread, so load them (importScripts() or
+ * `self.marked = marked`) before calling this.
+ *
+ * Each stream gets its own highlighter (which tracks the open code block)
+ * and formula cache, kept until the client releases the stream. A render
+ * outside a stream starts from scratch.
+ * @param {Object} [port=globalThis] - The worker scope, or worker_threads' parentPort
+ * @returns {() => void} Function that stops serving
+ */
+export function startRenderWorker(port = globalThis) {
+    const streams = new Map(); // stream id -> { codeHighlighter, mathCache }, least recently used first
+
+    const stateFor = (stream) => {
+        if (stream === undefined) return createStreamState();
+        const state = streams.get(stream) || createStreamState();
+        streams.delete(stream);
+        streams.set(stream, state);
+        if (streams.size > MAX_STREAMS) streams.delete(streams.keys().next().value);
+        return state;
+    };
+
+    return listen(port, 'message', (message) => {
+        if (!message) return;
+        if (message.type === 'mertex:release') {
+            streams.delete(message.stream);
+            return;
+        }
+        if (message.type !== 'mertex:render') return;
+        try {
+            const result = renderStrings(message.text, { ...message.options, ...stateFor(message.stream) });
+            port.postMessage({ type: 'mertex:result', id: message.id, result });
+        } catch (error) {
+            port.postMessage({ type: 'mertex:result', id: message.id, error: error.message || String(error) });
+        }
+    });
+}
+
+const clients = new WeakMap(); // worker -> RenderWorkerClient
+
+export class RenderWorkerClient {
+    /**
+     * @param {Worker|Object} worker - A Web Worker (or worker_threads Worker)
+     *   running startRenderWorker()
+     */
+    constructor(worker) {
+        this.worker = worker;
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.nextId = 0;
+        this.stats = { renders: 0, failures: 0 };
+        this._exited = null; // Error once the worker has exited
+        this._unlisten = [
+            listen(worker, 'message', (message) => this._handleMessage(message)),
+            listen(worker, 'error', (error) => this._rejectAll(error)),
+            // worker_threads only: a Web Worker is gone once terminate() returns
+            listen(worker, 'exit', (code) => {
+                this._exited = new Error('[RenderWorker] Worker exited with code ' + code);
+                this._rejectAll(this._exited);
+            })
+        ];
+    }
+
+    /**
+     * The client for a worker, created on first use so streams that are given
+     * the same worker share one client
+     * @param {Worker|RenderWorkerClient} worker
+     * @returns {RenderWorkerClient}
+     */
+    static from(worker) {
+        if (worker instanceof RenderWorkerClient) return worker;
+        let client = clients.get(worker);
+        if (!client) {
+            client = new RenderWorkerClient(worker);
+            clients.set(worker, client);
+        }
+        return client;
+    }
+
+    /**
+     * Reserve worker state (highlighter, formula cache) for one stream. Pass
+     * the id as the `workerStream` render option, and hand it to
+     * releaseStream() when the stream is done.
+     * @returns {number}
+     */
+    openStream() {
+        return ++nextStream;
+    }
+
+    /**
+     * Let the worker drop a stream's state
+     * @param {number} stream - From openStream()
+     */
+    releaseStream(stream) {
+        if (this._exited) return;
+        this.worker.postMessage({ type: 'mertex:release', stream });
+    }
+
+    /**
+     * renderMarkdown() with the string stages run in the worker
+     * @param {string} text
+     * @param {Object} [options] - renderMarkdown() options, plus `workerStream`
+     *   from openStream()
+     * @returns {Promise<Object>} { html, mermaidMap, katexMap, mermaidSkeleton? }
+     */
+    async render(text, options = {}) {
+        if (!text) return emptyResult();
+        if (this._exited) throw this._exited;
+
+        const id = ++this.nextId;
+        const workerOptions = {};
+        WORKER_OPTIONS.forEach(key => {
+            if (options[key] !== undefined) workerOptions[key] = options[key];
+        });
+
+        const result = await new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'mertex:render', id, text, stream: options.workerStream, options: workerOptions });
+        });
+        this.stats.renders++;
+        return finishRender(result, options);
+    }
+
+    _handleMessage(message) {
+        if (!message || message.type !== 'mertex:result') return;
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+        if (message.error !== undefined) {
+            this.stats.failures++;
+            request.reject(new Error('[RenderWorker] ' + message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    _rejectAll(error) {
+        const reason = error instanceof Error ? error : new Error('[RenderWorker] ' + (error.message || 'worker error'));
+        this.pending.forEach(request => request.reject(reason));
+        this.stats.failures += this.pending.size;
+        this.pending.clear();
+    }
+
+    /**
+     * Stop listening to the worker and fail the renders still in flight. The
+     * worker itself is left running; terminate it if nothing else uses it.
+     */
+    dispose() {
+        this._unlisten.forEach(unlisten => unlisten());
+        this._unlisten = [];
+        this._rejectAll(new Error('[RenderWorker] Client disposed'));
+        clients.delete(this.worker);
+    }
+
+    getStats() {
+        return { ...this.stats, pending: this.pending.size };
+    }
+}
+
+export default RenderWorkerClient;
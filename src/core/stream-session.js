@@ -0,0 +1,129 @@
+/**
+ * StreamSession - Manages the stream renderers of a multi-message view
+ *
+ * A chat UI streams many messages, each into its own element. A session
+ * hands every message a StreamRenderer that shares one mermaid diagram cache
+ * and one KaTeX formula cache with the others, queues mermaid renders behind
+ * a single concurrency limit, and disposes renderers whose messages are
+ * removed.
+ */
+
+import { ConcurrencyLimiter } from '../utils/concurrency-limiter.js';
+import { RenderCache, cacheStats } from '../utils/render-cache.js';
+
+export class StreamSession {
+    /**
+     * @param {(target: HTMLElement, options: Object) => StreamRenderer} createRenderer
+     * @param {Object} options - Defaults for every stream in the session
+     * @param {number} [options.mermaidConcurrency=1] - Mermaid renders allowed at once
+     *   across all streams
+     * @param {RenderCache|Map} [options.mermaidCache] - Diagram cache (MertexMD passes its own)
+     * @param {RenderCache|Map} [options.mathCache] - Formula cache (MertexMD passes its own)
+     */
+    constructor(createRenderer, options = {}) {
+        const { mermaidConcurrency, mermaidCache, mathCache, ...streamOptions } = options;
+        this.createRenderer = createRenderer;
+        this.options = streamOptions;
+        this.mermaidCache = mermaidCache || new RenderCache({ namespace: 'mermaid' }); // id -> { svg, partial }
+        this.mathCache = mathCache || new RenderCache({ namespace: 'math' });          // '$' / '$$' + source -> html
+        this.limiter = new ConcurrencyLimiter(mermaidConcurrency ?? 1);
+        this.streams = new Map(); // target element -> StreamRenderer
+        this.disposedCount = 0;
+    }
+
+    /**
+     * Create the renderer for a message. A target that already has one gets
+     * it disposed and replaced.
+     * @param {HTMLElement} targetElement - Element the message renders into
+     * @param {Object} options - Per-stream overrides
+     * @returns {StreamRenderer}
+     */
+    createStream(targetElement, options = {}) {
+        if (this.streams.has(targetElement)) this.dispose(targetElement);
+
+        const stream = this.createRenderer(targetElement, {
+            ...this.options,
+            ...options,
+            mermaidCache: this.mermaidCache,
+            mathCache: this.mathCache,
+            mermaidLimiter: this.limiter
+        });
+        this.streams.set(targetElement, stream);
+        return stream;
+    }
+
+    /**
+     * @param {HTMLElement} targetElement
+     * @returns {StreamRenderer|undefined}
+     */
+    getStream(targetElement) {
+        return this.streams.get(targetElement);
+    }
+
+    /**
+     * Dispose one stream: pending renders and self-correct calls are
+     * cancelled and its listeners dropped. The element is left as it is.
+     * @param {StreamRenderer|HTMLElement} streamOrTarget
+     * @returns {boolean} True if the session held the stream
+     */
+    dispose(streamOrTarget) {
+        let target = streamOrTarget;
+        if (!this.streams.has(target)) {
+            target = null;
+            for (const [element, stream] of this.streams) {
+                if (stream === streamOrTarget) target = element;
+            }
+        }
+        if (!target) return false;
+
+        const stream = this.streams.get(target);
+        this.streams.delete(target);
+        stream.dispose();
+        this.disposedCount++;
+        return true;
+    }
+
+    /**
+     * Dispose the streams whose element has been removed from the document
+     * @returns {number} Number of streams disposed
+     */
+    prune() {
+        let count = 0;
+        for (const target of Array.from(this.streams.keys())) {
+            if (!target.isConnected && this.dispose(target)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Dispose every stream. The caches are bounded and may be persisted, so
+     * they are kept; call clear() on them to drop their entries.
+     */
+    disposeAll() {
+        for (const target of Array.from(this.streams.keys())) {
+            this.dispose(target);
+        }
+    }
+
+    /**
+     * Number of live streams
+     * @returns {number}
+     */
+    get size() {
+        return this.streams.size;
+    }
+
+    getStats() {
+        return {
+            streams: this.streams.size,
+            disposed: this.disposedCount,
+            cache: {
+                math: cacheStats(this.mathCache),
+                mermaid: cacheStats(this.mermaidCache)
+            },
+            mermaid: this.limiter.getStats()
+        };
+    }
+}
+
+export default StreamSession;
@@ -4,6 +4,8 @@
 
 import { hashCode } from '../utils/hash.js';
 import { selfCorrectRender } from './self-correct.js';
+import { isAborted } from '../utils/abort.js';
+import { now } from '../utils/clock.js';
 
 function getKaTeX() {
     if (typeof katex !== 'undefined') return katex;
@@ -44,7 +46,24 @@ export const KaTeXHandler = {
         };
     },
     
-    renderInElement: async function(element, katexMap, selfCorrect) {
+    /**
+     * Render ```katex placeholders in an element
+     * @param {HTMLElement} element - Container holding .katex-placeholder divs
+     * @param {Map} katexMap - id -> { code, display }
+     * @param {Object} [selfCorrect] - { fix, maxRetries } for failed formulas
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops rendering further blocks
+     * @param {(event: string, payload: Object) => boolean} [options.emit] - Receives
+     *   'math', 'selfcorrect' and 'error' events; errors fall back to the console
+     *   when it returns false
+     * @param {RenderCache|Map} [options.cache] - Rendered formulas, keyed '$$' + source
+     * @returns {Promise<number>} Number of blocks rendered
+     */
+    renderInElement: async function(element, katexMap, selfCorrect, options = {}) {
+        const { signal, emit, cache } = options;
+        const reportError = (message, payload) => {
+            if (!emit || !emit('error', payload)) console.error(message, payload.error);
+        };
         const placeholders = element.querySelectorAll('.katex-placeholder');
         if (placeholders.length === 0) return 0;
 
@@ -54,25 +73,34 @@ export const KaTeXHandler = {
         let renderedCount = 0;
 
         for (const placeholder of placeholders) {
+            if (isAborted(signal)) break;
+
             const id = placeholder.getAttribute('data-katex-id');
             const info = katexMap.get(id);
             if (!info) continue;
 
+            const start = now();
             try {
                 const container = document.createElement('div');
                 container.className = info.display ? 'katex-display-wrapper' : 'katex-inline-wrapper';
 
-                const rendered = katexLib.renderToString(info.code, {
-                    displayMode: info.display,
-                    throwOnError: true,
-                    trust: true,
-                    strict: false,
-                    output: 'htmlAndMathml'
-                });
+                const key = (info.display ? '$$' : '$') + info.code;
+                let rendered = cache ? cache.get(key) : undefined;
+                if (rendered === undefined) {
+                    rendered = katexLib.renderToString(info.code, {
+                        displayMode: info.display,
+                        throwOnError: true,
+                        trust: true,
+                        strict: false,
+                        output: 'htmlAndMathml'
+                    });
+                    if (cache) cache.set(key, rendered);
+                }
 
                 container.innerHTML = rendered;
                 placeholder.replaceWith(container);
                 renderedCount++;
+                if (emit) emit('math', { id, source: info.code, display: info.display, duration: now() - start });
             } catch (err) {
                 if (selfCorrect?.fix) {
                     placeholder.classList.add('mertex-fixing');
@@ -87,20 +115,22 @@ export const KaTeXHandler = {
                                 output: 'htmlAndMathml'
                             });
                         },
-                        selfCorrect
+                        { ...selfCorrect, ...(signal && { signal }), ...(emit && { emit }) }
                     );
                     placeholder.classList.remove('mertex-fixing');
+                    if (result.aborted) break;
                     if (result.success) {
                         const container = document.createElement('div');
                         container.className = info.display ? 'katex-display-wrapper' : 'katex-inline-wrapper';
                         container.innerHTML = result.result;
                         placeholder.replaceWith(container);
                         renderedCount++;
+                        if (emit) emit('math', { id, source: result.code, display: info.display, duration: now() - start, corrected: true });
                     } else {
-                        console.error('[KaTeXHandler] Failed to render after self-correct:', err);
+                        reportError('[KaTeXHandler] Failed to render after self-correct:', { format: 'katex', id, source: info.code, error: err });
                     }
                 } else {
-                    console.error('[KaTeXHandler] Failed to render:', err);
+                    reportError('[KaTeXHandler] Failed to render:', { format: 'katex', id, source: info.code, error: err });
                 }
             }
         }
@@ -7,6 +7,9 @@
 
 import { hashCode } from '../utils/hash.js';
 import { selfCorrectRender } from './self-correct.js';
+import { isAborted, raceAbort } from '../utils/abort.js';
+import { runLimited } from '../utils/concurrency-limiter.js';
+import { now } from '../utils/clock.js';
 
 /**
  * Check if Mermaid library is available
@@ -94,7 +97,111 @@ export const MermaidHandler = {
         };
     },
     
-    renderInElement: async function(element, mermaidMap, selfCorrect) {
+    /**
+     * Protect a ```mermaid fence that hasn't been closed yet (streaming only).
+     * Call after protect(), which has already replaced every closed fence.
+     * @param {string} text
+     * @returns {{ protected: string, skeleton: { code: string, source: string, type: string, lines: number }|null }}
+     *   `source` is the raw fence body, including a last line that may still be incomplete
+     */
+    protectOpenFence: function(text) {
+        const index = text.search(/(^|\n)[ \t]*```mermaid[ \t]*\n(?![\s\S]*```)/i);
+        if (index === -1) return { protected: text, skeleton: null };
+
+        const start = text.indexOf('```', index);
+        const bodyStart = text.indexOf('\n', start) + 1;
+        const code = text.substring(bodyStart).split('\n').map(line => line.trimEnd()).join('\n').trim();
+
+        return {
+            protected: text.substring(0, start) + '\n<div class="mermaid-skeleton-placeholder"></div>\n',
+            skeleton: {
+                code,
+                source: text.substring(bodyStart),
+                type: this.checkDiagramType(code).type,
+                lines: code ? code.split('\n').length : 0
+            }
+        };
+    },
+
+    /**
+     * Turn a node into (or update) a skeleton for a diagram that hasn't rendered
+     * yet. The node keeps its identity so the skeleton doesn't flicker between
+     * chunks; only its label, size and preview text change.
+     * @param {HTMLElement} node - Placeholder to decorate
+     * @param {string} code - Diagram source so far
+     * @param {Object} [options]
+     * @param {boolean} [options.preview=true] - Include a collapsed source preview
+     */
+    renderSkeleton: function(node, code, options = {}) {
+        const source = code || '';
+        const type = this.checkDiagramType(source).type;
+        const lines = source ? source.split('\n').length : 0;
+
+        node.classList.add('mermaid-skeleton');
+        node.setAttribute('data-diagram-type', type);
+        node.setAttribute('aria-busy', 'true');
+        node.style.minHeight = Math.min(480, 96 + lines * 24) + 'px';
+
+        let header = node.querySelector('.mermaid-skeleton-header');
+        if (!header) {
+            header = document.createElement('div');
+            header.className = 'mermaid-skeleton-header';
+            header.innerHTML = '<span class="mermaid-skeleton-type"></span> ' +
+                '<span class="mermaid-skeleton-lines"></span>';
+            node.appendChild(header);
+
+            if (options.preview !== false) {
+                const details = document.createElement('details');
+                details.className = 'mermaid-skeleton-source';
+                details.innerHTML = '<summary>Source</summary><pre><code class="language-mermaid"></code></pre>';
+                node.appendChild(details);
+            }
+        }
+
+        header.querySelector('.mermaid-skeleton-type').textContent = type === 'unknown' ? 'diagram' : type;
+        header.querySelector('.mermaid-skeleton-lines').textContent = lines + (lines === 1 ? ' line' : ' lines');
+        const preview = node.querySelector('.mermaid-skeleton-source code');
+        if (preview) preview.textContent = source;
+    },
+
+    /**
+     * Strip skeleton decoration from placeholders that never rendered, leaving
+     * the plain placeholder behind
+     * @param {HTMLElement} element
+     * @returns {number} Number of skeletons cleared
+     */
+    clearSkeletons: function(element) {
+        const skeletons = element.querySelectorAll('.mermaid-skeleton');
+        for (const node of skeletons) {
+            node.classList.remove('mermaid-skeleton');
+            node.removeAttribute('data-diagram-type');
+            node.removeAttribute('aria-busy');
+            node.style.minHeight = '';
+            if (!node.getAttribute('style')) node.removeAttribute('style');
+            node.innerHTML = '';
+        }
+        return skeletons.length;
+    },
+
+    /**
+     * Render mermaid placeholders in an element
+     * @param {HTMLElement} element - Container holding .mermaid-placeholder divs
+     * @param {Map} mermaidMap - id -> diagram source
+     * @param {Object} [selfCorrect] - { fix, maxRetries } for failed diagrams
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops rendering further diagrams
+     * @param {(event: string, payload: Object) => boolean} [options.emit] - Receives
+     *   'mermaid', 'selfcorrect' and 'error' events; errors fall back to the console
+     *   when it returns false
+     * @param {ConcurrencyLimiter} [options.limiter] - Queues renders behind other streams'
+     * @param {RenderCache|Map} [options.cache] - id -> { svg } of diagrams rendered before
+     * @returns {Promise<number>} Number of diagrams rendered
+     */
+    renderInElement: async function(element, mermaidMap, selfCorrect, options = {}) {
+        const { signal, emit, limiter, cache } = options;
+        const reportError = (message, payload) => {
+            if (!emit || !emit('error', payload)) console.error(message, payload.error);
+        };
         const placeholders = element.querySelectorAll('.mermaid-placeholder');
         if (placeholders.length === 0) return 0;
 
@@ -112,44 +219,58 @@ export const MermaidHandler = {
         let renderedCount = 0;
 
         for (const placeholder of placeholders) {
+            if (isAborted(signal)) break;
+
             const id = placeholder.getAttribute('data-mermaid-id');
             const code = mermaidMap.get(id);
 
             if (!code) continue;
 
+            const start = now();
             try {
                 const diagramId = 'mermaid-diagram-' + Date.now() + '-' + renderedCount;
                 const container = document.createElement('div');
                 container.className = 'mermaid-container';
                 container.id = diagramId;
+                container.setAttribute('data-mermaid-id', id);
 
-                const { svg } = await mermaidLib.render(diagramId + '-svg', code);
+                const cached = cache ? cache.get(id) : undefined;
+                const { svg } = cached || await raceAbort(
+                    runLimited(limiter, () => mermaidLib.render(diagramId + '-svg', code), signal),
+                    signal
+                );
+                if (cache && !cached) cache.set(id, { svg, partial: false });
                 container.innerHTML = svg;
                 placeholder.replaceWith(container);
                 renderedCount++;
+                if (emit) emit('mermaid', { id, source: code, duration: now() - start, element: container });
             } catch (err) {
+                if (isAborted(signal)) break;
                 if (selfCorrect?.fix) {
                     placeholder.classList.add('mertex-fixing');
                     const result = await selfCorrectRender(
                         code, 'mermaid', err.message || String(err),
                         async (corrected) => {
                             const retryId = 'mermaid-diagram-' + Date.now() + '-retry-' + renderedCount;
-                            return (await mermaidLib.render(retryId + '-svg', corrected)).svg;
+                            return (await runLimited(limiter, () => mermaidLib.render(retryId + '-svg', corrected), signal)).svg;
                         },
-                        selfCorrect
+                        { ...selfCorrect, ...(signal && { signal }), ...(emit && { emit }) }
                     );
                     placeholder.classList.remove('mertex-fixing');
+                    if (result.aborted) break;
                     if (result.success) {
                         const container = document.createElement('div');
                         container.className = 'mermaid-container';
+                        container.setAttribute('data-mermaid-id', id);
                         container.innerHTML = result.result;
                         placeholder.replaceWith(container);
                         renderedCount++;
+                        if (emit) emit('mermaid', { id, source: result.code, duration: now() - start, element: container, corrected: true });
                     } else {
-                        console.error('[MermaidHandler] Failed to render after self-correct:', err);
+                        reportError('[MermaidHandler] Failed to render after self-correct:', { format: 'mermaid', id, source: code, error: err });
                     }
                 } else {
-                    console.error('[MermaidHandler] Failed to render:', err);
+                    reportError('[MermaidHandler] Failed to render:', { format: 'mermaid', id, source: code, error: err });
                 }
             }
         }
@@ -157,6 +278,30 @@ export const MermaidHandler = {
         return renderedCount;
     },
     
+    /**
+     * Replace placeholders that were never rendered with their source as a
+     * code block, e.g. after a stream was aborted mid-render
+     * @param {HTMLElement} element
+     * @param {Map} mermaidMap - id -> diagram source
+     * @returns {number} Number of placeholders replaced
+     */
+    showSource: function(element, mermaidMap) {
+        const placeholders = element.querySelectorAll('.mermaid-placeholder');
+        let count = 0;
+
+        for (const placeholder of placeholders) {
+            const code = mermaidMap && mermaidMap.get(placeholder.getAttribute('data-mermaid-id'));
+            if (!code) continue;
+
+            const pre = document.createElement('pre');
+            pre.innerHTML = '<code class="language-mermaid">' + this.escapeHtml(code) + '</code>';
+            placeholder.replaceWith(pre);
+            count++;
+        }
+
+        return count;
+    },
+
     escapeHtml: function(text) {
         if (typeof document !== 'undefined') {
             const div = document.createElement('div');
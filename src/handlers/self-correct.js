@@ -5,33 +5,51 @@
  * code, then retries. Enables LLM-powered correction of broken mermaid/katex.
  */
 
+import { isAborted, raceAbort } from '../utils/abort.js';
+
 /**
  * Attempt to fix and re-render broken code
  * @param {string} code - The broken source code
  * @param {"mermaid"|"katex"} format - Which renderer failed
  * @param {string} error - The error message from the failed render
  * @param {(code: string) => Promise<any>} renderFn - Renders code, returns result or throws
- * @param {{ fix: Function, maxRetries?: number }} options - Self-correct options
- * @returns {Promise<{ success: boolean, result?: any, code?: string }>}
+ * @param {{ fix: Function, maxRetries?: number, signal?: AbortSignal, emit?: Function }} options -
+ *   Self-correct options. The signal is passed to `fix` as `fix(code, format, error, { signal })`;
+ *   once it fires no further attempts are made. `emit('selfcorrect', payload)` is called after
+ *   every attempt; a throwing `fix` is only logged when no listener handled that event.
+ * @returns {Promise<{ success: boolean, result?: any, code?: string, aborted?: boolean }>}
  */
 export async function selfCorrectRender(code, format, error, renderFn, options) {
     const maxRetries = Math.min(options.maxRetries ?? 1, 3);
+    const signal = options.signal;
+    const emit = options.emit;
     let lastError = error;
     let currentCode = code;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+        if (isAborted(signal)) return { success: false, aborted: true };
+
+        const attemptError = lastError;
         try {
-            currentCode = await options.fix(currentCode, format, lastError);
+            currentCode = await raceAbort(options.fix(currentCode, format, lastError, { signal }), signal);
         } catch (fixError) {
-            console.error(`[selfCorrect] fix callback threw on attempt ${attempt + 1}:`, fixError);
+            if (isAborted(signal)) return { success: false, aborted: true };
+            const payload = { format, source: code, error: attemptError, attempt: attempt + 1, success: false, fixError };
+            if (!emit || !emit('selfcorrect', payload)) {
+                console.error(`[selfCorrect] fix callback threw on attempt ${attempt + 1}:`, fixError);
+            }
             return { success: false };
         }
 
+        if (isAborted(signal)) return { success: false, aborted: true };
+
         try {
             const result = await renderFn(currentCode);
+            if (emit) emit('selfcorrect', { format, source: code, code: currentCode, error: attemptError, attempt: attempt + 1, success: true });
             return { success: true, result, code: currentCode };
         } catch (renderError) {
             lastError = renderError.message || String(renderError);
+            if (emit) emit('selfcorrect', { format, source: code, code: currentCode, error: attemptError, attempt: attempt + 1, success: false });
         }
     }
 
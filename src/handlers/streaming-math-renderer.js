@@ -3,7 +3,9 @@
  */
 
 import { hashBase36 } from '../utils/hash.js';
+import { RenderCache } from '../utils/render-cache.js';
 import { looksLikeCurrency } from '../utils/currency-detector.js';
+import { findCodeRegions, isInCodeRegion } from '../utils/code-regions.js';
 
 function getRenderMathInElement() {
     if (typeof renderMathInElement !== 'undefined') return renderMathInElement;
@@ -12,8 +14,13 @@ function getRenderMathInElement() {
 }
 
 export class StreamingMathRenderer {
-    constructor() {
-        this.seenFormulas = new Set();
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxFormulas=500] - Formula signatures remembered
+     *   before the least recently used one is forgotten (and rendered again if seen)
+     */
+    constructor(options = {}) {
+        this.seenFormulas = new RenderCache({ maxEntries: options.maxFormulas }); // signature -> true
         this.lastContentHash = '';
         this.consecutiveSkips = 0;
         this.lastCharWasWhitespace = false;
@@ -56,7 +63,7 @@ export class StreamingMathRenderer {
         const rendered = this.renderMath(targetElement);
         
         if (rendered) {
-            newFormulas.forEach(sig => this.seenFormulas.add(sig));
+            newFormulas.forEach(sig => this.seenFormulas.set(sig, true));
             this.consecutiveSkips = 0;
             this.stats.rendersExecuted++;
         }
@@ -64,12 +71,11 @@ export class StreamingMathRenderer {
         return rendered;
     }
     
+    /**
+     * @deprecated Use findCodeRegions() from utils/code-regions.js once per text
+     */
     isInsideBackticks(text, pos) {
-        let backtickCount = 0;
-        for (let i = 0; i < pos; i++) {
-            if (text[i] === '`') backtickCount++;
-        }
-        return backtickCount % 2 === 1;
+        return isInCodeRegion(findCodeRegions(text), pos);
     }
     
     extractFormulaSignatures(content) {
@@ -79,6 +85,7 @@ export class StreamingMathRenderer {
         // Replace them temporarily so they don't interfere
         const currencyRangePattern = /\$(\d[\d,]*(?:\.\d+)?)\s*-\s*\$(\d[\d,]*(?:\.\d+)?)/g;
         const cleanContent = content.replace(currencyRangePattern, '___CURRENCY_RANGE___');
+        const codeRegions = findCodeRegions(cleanContent);
         
         for (const delim of this.delimiters) {
             let searchPos = 0;
@@ -87,7 +94,7 @@ export class StreamingMathRenderer {
                 const leftPos = cleanContent.indexOf(delim.left, searchPos);
                 if (leftPos === -1) break;
                 
-                if (delim.left === '$' && this.isInsideBackticks(cleanContent, leftPos)) {
+                if (isInCodeRegion(codeRegions, leftPos)) {
                     searchPos = leftPos + 1;
                     continue;
                 }
@@ -194,6 +201,15 @@ export class StreamingMathRenderer {
         this.renderMath(targetElement);
     }
     
+    /**
+     * Forget which formulas were rendered, after the content was rewound or
+     * edited (statistics are kept)
+     */
+    invalidate() {
+        this.seenFormulas.clear();
+        this.accumulatedContent = '';
+    }
+
     reset() {
         this.seenFormulas.clear();
         this.lastContentHash = '';
@@ -213,7 +229,9 @@ export class StreamingMathRenderer {
         
         return {
             ...this.stats,
-            skipRate: skipRate + '%'
+            skipRate: skipRate + '%',
+            formulasSeen: this.seenFormulas.size,
+            formulasEvicted: this.seenFormulas.stats.evictions
         };
     }
 }
@@ -5,7 +5,14 @@
 export { MertexMD, default } from './mertex.js';
 export { MathProtector } from './core/math-protector.js';
 export { renderMarkdown, renderMarkdownLegacy, renderMarkdownInElement, autoRenderMarkdown, initMarkdownRenderer } from './core/markdown-renderer.js';
+export { renderToString, renderToStream } from './core/render-to-string.js';
+export { sanitizeMarkup } from './utils/html-sanitizer.js';
 export { IncrementalContentRenderer } from './core/incremental-renderer.js';
+export { StreamSession } from './core/stream-session.js';
+export { RenderWorkerClient, startRenderWorker } from './core/render-worker.js';
+export { RenderCache, createMemoryStorage, createLocalStorage, createIndexedDBStorage } from './utils/render-cache.js';
+export { StreamRecorder, recordStream, replayTrace } from './utils/stream-trace.js';
+export { checkStreamEquivalence, diffDom } from './utils/stream-equivalence.js';
 export { MermaidHandler } from './handlers/mermaid-handler.js';
 export { KaTeXHandler } from './handlers/katex-handler.js';
 export { StreamingMathRenderer } from './handlers/streaming-math-renderer.js';
@@ -8,10 +8,21 @@ import { IncrementalContentRenderer } from './core/incremental-renderer.js';
 import { MermaidHandler } from './handlers/mermaid-handler.js';
 import { KaTeXHandler } from './handlers/katex-handler.js';
 import { StreamingMathRenderer } from './handlers/streaming-math-renderer.js';
+import { findStableBoundaries, hasReferenceDefinition } from './core/block-splitter.js';
+import { closeMarkdown } from './core/markdown-closer.js';
+import { StreamSession } from './core/stream-session.js';
+import { RenderScheduler } from './utils/render-scheduler.js';
+import { readTextDeltas } from './utils/stream-source.js';
+import { EventEmitter } from './utils/event-emitter.js';
+import { hashCode } from './utils/hash.js';
+import { RenderCache, cacheStats } from './utils/render-cache.js';
+import { CodeHighlighter } from './utils/code-highlighter.js';
+import { ScrollFollower } from './utils/scroll-follower.js';
+import { RenderWorkerClient } from './core/render-worker.js';
 
 export class MertexMD {
     constructor(options = {}) {
-        const { selfCorrect, ...rest } = options;
+        const { selfCorrect, cache, ...rest } = options;
         this.options = {
             breaks: true,
             gfm: true,
@@ -24,12 +35,32 @@ export class MertexMD {
             renderOnRestore: true,
             ...rest
         };
+        // One client per worker, shared by every render and stream of this instance
+        if (this.options.worker) {
+            this.options.worker = RenderWorkerClient.from(this.options.worker);
+        }
         if (selfCorrect) {
             this.options.selfCorrect = {
                 fix: selfCorrect.fix,
                 maxRetries: Math.min(selfCorrect.maxRetries ?? 1, 3)
             };
         }
+        // Rendered formulas and diagrams, shared by every render and stream of this instance
+        if (cache !== false) {
+            const cacheOptions = typeof cache === 'object' ? cache : {};
+            this.options.mathCache = this.options.mathCache ||
+                new RenderCache({ ...cacheOptions, namespace: 'math' });
+            this.options.mermaidCache = this.options.mermaidCache ||
+                new RenderCache({ ...cacheOptions, namespace: 'mermaid' });
+        }
+    }
+
+    /**
+     * Hit/miss statistics of the render caches
+     * @returns {{ math: Object|null, mermaid: Object|null }}
+     */
+    getCacheStats() {
+        return { math: cacheStats(this.options.mathCache), mermaid: cacheStats(this.options.mermaidCache) };
     }
     
     /**
@@ -40,7 +71,7 @@ export class MertexMD {
      */
     async render(markdown, options = {}) {
         const config = { ...this.options, ...options };
-        const result = await renderMarkdown(markdown, config);
+        const result = await renderPipeline(markdown, config);
         return typeof result === 'object' ? result.html : result;
     }
 
@@ -52,7 +83,7 @@ export class MertexMD {
      */
     async renderFull(markdown, options = {}) {
         const config = { ...this.options, ...options };
-        return renderMarkdown(markdown, config);
+        return renderPipeline(markdown, config);
     }
     
     /**
@@ -84,6 +115,36 @@ export class MertexMD {
         const config = { ...this.options, ...options };
         return new StreamRenderer(targetElement, config);
     }
+
+    /**
+     * Continue from markup rendered elsewhere, e.g. by renderToString() on a
+     * server: the element's blocks and pre-rendered formulas are kept, only
+     * the diagrams still shown as placeholders are rendered, and the returned
+     * stream renderer holds `markdown` as its content, ready for appendContent()
+     * @param {HTMLElement} element - Element holding the rendered markdown
+     * @param {string} markdown - The markdown it was rendered from
+     * @param {Object} options - Override options for the stream
+     * @returns {Promise<StreamRenderer>}
+     */
+    async hydrate(element, markdown, options = {}) {
+        const stream = this.createStreamRenderer(element, options);
+        await stream.hydrate(markdown);
+        return stream;
+    }
+
+    /**
+     * Create a session for many concurrent streams (e.g. one per chat
+     * message) that share render caches and a mermaid concurrency limit
+     * @param {Object} options - Session options and defaults for its streams
+     * @param {number} [options.mermaidConcurrency=1] - Mermaid renders allowed at once
+     * @returns {StreamSession}
+     */
+    createSession(options = {}) {
+        return new StreamSession(
+            (targetElement, streamOptions) => new StreamRenderer(targetElement, streamOptions),
+            { ...this.options, ...options }
+        );
+    }
     
     /**
      * Auto-render all matching elements
@@ -104,6 +165,55 @@ export class MertexMD {
     }
 }
 
+// Characters after a block boundary that decide whether it stands (an
+// indent, a list marker), see findStableBoundaries()
+const BOUNDARY_LOOKAHEAD = 16;
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Length of the longest common prefix
+ */
+function commonPrefixLength(a, b) {
+    const max = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < max && a.charCodeAt(i) === b.charCodeAt(i)) i++;
+    return i;
+}
+
+/**
+ * Frozen segments that are still valid when the content only matches the
+ * old content up to `prefix`: the segment itself and the start of the line
+ * that confirmed its boundary (up to BOUNDARY_LOOKAHEAD characters, or the
+ * whole line with its newline if it is shorter) must be unchanged
+ * @param {Array<{ end: number }>} segments
+ * @param {string} previous - Content the segments were frozen from
+ * @param {number} prefix - Length of the unchanged prefix
+ * @returns {Array}
+ */
+function keptSegments(segments, previous, prefix) {
+    const kept = [];
+    for (const segment of segments) {
+        const lineEnd = previous.indexOf('\n', segment.end);
+        const lineLength = (lineEnd === -1 ? previous.length : lineEnd) - segment.end;
+        if (prefix < segment.end + Math.min(BOUNDARY_LOOKAHEAD, lineLength + 1)) break;
+        kept.push(segment);
+    }
+    return kept;
+}
+
+/**
+ * renderMarkdown(), in the render worker when one is configured
+ * @param {string} text
+ * @param {Object} config - Render options; `worker` is a Worker or RenderWorkerClient
+ * @returns {Promise<Object>} { html, mermaidMap, katexMap, mermaidSkeleton? }
+ */
+function renderPipeline(text, config) {
+    return config.worker
+        ? RenderWorkerClient.from(config.worker).render(text, config)
+        : renderMarkdown(text, config);
+}
+
 /**
  * StreamRenderer - Handles streaming/incremental content rendering
  */
@@ -112,85 +222,554 @@ class StreamRenderer {
         this.targetElement = targetElement;
         this.options = options;
         this.content = '';
-        this.incrementalRenderer = new IncrementalContentRenderer();
-        this.streamingMathRenderer = new StreamingMathRenderer();
+        this.incrementalRenderer = new IncrementalContentRenderer({
+            cursor: options.cursor,
+            mermaidSkeleton: options.mermaidSkeleton,
+            mermaidPreview: options.mermaidPreview,
+            mermaidCache: options.mermaidCache,
+            mathCache: options.mathCache,
+            limiter: options.mermaidLimiter,
+            preserveSelection: options.preserveSelection,
+            maxFormulas: options.maxFormulas
+        });
+        this.streamingMathRenderer = new StreamingMathRenderer({ maxFormulas: options.maxFormulas });
+        this.codeHighlighter = new CodeHighlighter({ autoDetectLength: options.highlightAutoDetectLength });
+        // The worker keeps its own highlighter and formula cache for this stream
+        this._workerStream = options.worker ? RenderWorkerClient.from(options.worker).openStream() : null;
         this._lastMermaidCount = 0;
         this._mermaidRendering = false;
         this._mermaidRendered = new Map(); // id -> SVG element
+        this._frozen = this._createFrozenState();
+        this._lastResult = null; // { content, html, mermaidMap, katexMap } of the last cycle
+        this._generation = 0; // bumped by reset() so in-flight cycles can tell they're stale
+        this._scheduler = new RenderScheduler(() => this._renderCycle(), {
+            schedule: options.schedule
+        });
+        this._abortController = new AbortController();
+        this._aborting = null; // cleanup promise returned by abort()
+        this._finalized = false;
+        this._events = new EventEmitter();
+        this._emit = (event, payload) => this._events.emit(event, payload);
+        this._mathSeen = new Set(); // formulas already reported, so tail re-renders don't repeat them
+        this._disposed = false;
+        this._onExternalAbort = null;
+        this._follower = options.follow
+            ? new ScrollFollower(options.follow === true ? window : options.follow, targetElement, {
+                threshold: options.followThreshold
+            })
+            : null;
+
+        // An external signal (e.g. the one passed to fetch) cancels the stream
+        if (options.signal) {
+            if (options.signal.aborted) {
+                this.abort(options.signal.reason);
+            } else {
+                this._onExternalAbort = () => this.abort(options.signal.reason);
+                options.signal.addEventListener('abort', this._onExternalAbort, { once: true });
+            }
+        }
     }
-    
+
     /**
-     * Append content chunk and re-render
-     * @param {string} chunk - New content to append
-     * @returns {Promise<boolean>} True if content was updated
+     * Signal that fires when the stream is aborted. Handed to mermaid
+     * rendering and to the self-correct `fix` callback.
+     * @returns {AbortSignal}
      */
-    async appendContent(chunk) {
-        if (!chunk) return false;
+    get signal() {
+        return this._abortController.signal;
+    }
 
-        this.content += chunk;
+    /**
+     * Whether abort() has been called since the last reset()
+     * @returns {boolean}
+     */
+    get aborted() {
+        return this._abortController.signal.aborted;
+    }
+
+    /**
+     * Listen for a render lifecycle event:
+     * - 'blockcomplete' { offset, source } — a top-level block can no longer change
+     * - 'math' { id, source, display, duration } — a formula rendered (once per formula)
+     * - 'mermaid' { id, source, duration, element } — a diagram landed in the DOM
+     * - 'selfcorrect' { format, source, code, error, attempt, success } — a fix attempt finished
+     * - 'error' { format, id, source, error } — a render failed; replaces the console output
+     * - 'finalize' { content, duration } — finalize() completed
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {() => void} Function that removes the listener
+     */
+    on(event, callback) {
+        return this._events.on(event, callback);
+    }
+
+    /**
+     * Remove a listener added with on()
+     * @param {string} event
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        this._events.off(event, callback);
+    }
+
+    /**
+     * Report a formula rendered by the pipeline, skipping pending ones and
+     * ones already reported
+     * @param {{ source: string, display: boolean, pending: boolean, duration: number }} info
+     */
+    _onMathRender(info) {
+        if (info.pending) return;
+        const id = 'MATH_' + hashCode((info.display ? '$$' : '$') + info.source);
+        if (this._mathSeen.has(id)) return;
+        this._mathSeen.add(id);
+        this._emit('math', { id, source: info.source, display: info.display, duration: info.duration });
+    }
+
+    /**
+     * Self-correct options carrying the stream's signal and event hook
+     * @returns {Object|undefined}
+     */
+    _selfCorrect() {
+        if (!this.options.selfCorrect) return undefined;
+        return { ...this.options.selfCorrect, signal: this.signal, emit: this._emit };
+    }
+
+    /**
+     * Frozen-block state built from the given segments, one per boundary advance
+     * @param {Array<{ end: number, html: string, mermaidMap: Map, katexMap: Map }>} [segments]
+     * @returns {Object}
+     */
+    _createFrozenState(segments = []) {
+        const frozen = { length: 0, html: '', mermaidMap: new Map(), katexMap: new Map(), segments: [] };
+        segments.forEach(segment => this._addFrozenSegment(frozen, segment));
+        return frozen;
+    }
+
+    _addFrozenSegment(frozen, segment) {
+        frozen.html += segment.html;
+        segment.mermaidMap.forEach((code, id) => frozen.mermaidMap.set(id, code));
+        segment.katexMap.forEach((info, id) => frozen.katexMap.set(id, info));
+        frozen.length = segment.end;
+        frozen.segments.push(segment);
+    }
+
+    /**
+     * Render the accumulated content, re-using the HTML of blocks that can no
+     * longer change. Newly finished blocks are rendered once and frozen; only
+     * the open tail goes through the pipeline on every chunk, with any
+     * unterminated constructs temporarily closed (see markdown-closer) and an
+     * open ```mermaid fence shown as a skeleton.
+     * @param {string} content - Full accumulated content
+     * @param {Object} options - Per-call overrides; `autoClose: false` renders
+     *   the tail as-is
+     * @returns {Promise<Object>} { html, mermaidMap, katexMap, mermaidSkeleton,
+     *   openFence, provisional } where `provisional` means the html differs from
+     *   what the text renders to once finished
+     */
+    async _renderFrozen(content, options = {}) {
+        const config = {
+            ...this.options,
+            selfCorrect: this._selfCorrect(),
+            onMathRender: (info) => this._onMathRender(info),
+            codeHighlighter: this.codeHighlighter,
+            workerStream: this._workerStream,
+            ...options
+        };
+        config.mermaidSkeleton = config.autoClose !== false && config.mermaidSkeleton !== false;
+        const close = (text) => config.autoClose === false
+            ? { text, closed: false, openFence: null }
+            : closeMarkdown(text);
+
+        if (this.options.freezeBlocks === false) {
+            const closing = close(content);
+            const result = await renderPipeline(closing.text, { ...config, openCodeBlock: !!closing.openFence });
+            return {
+                ...result,
+                openFence: closing.openFence,
+                provisional: closing.closed || !!result.mermaidSkeleton
+            };
+        }
 
-        // Get mermaid sources so the incremental renderer can render them inline
-        const preResult = await renderMarkdown(this.content, this.options);
-        if (preResult.mermaidMap && preResult.mermaidMap.size > 0) {
-            this.incrementalRenderer.mermaidSources = preResult.mermaidMap;
+        // One segment per finished block, so an edit only thaws the blocks after it
+        let frozen = this._frozen;
+        // A reference definition also applies to links in blocks frozen before it arrived
+        if (frozen.length > 0 && hasReferenceDefinition(content.substring(frozen.length))) {
+            frozen = this._frozen = this._createFrozenState();
+        }
+        for (const boundary of findStableBoundaries(content, frozen.length)) {
+            const source = content.substring(frozen.length, boundary);
+            const result = await renderPipeline(source, config);
+            this._emit('blockcomplete', { offset: frozen.length, source });
+            this._addFrozenSegment(frozen, {
+                end: boundary,
+                html: result.html,
+                mermaidMap: result.mermaidMap,
+                katexMap: result.katexMap
+            });
         }
 
+        const closing = close(content.substring(frozen.length));
+        const tail = await renderPipeline(closing.text, { ...config, openCodeBlock: !!closing.openFence });
+        return {
+            html: frozen.html + tail.html,
+            mermaidMap: new Map([...frozen.mermaidMap, ...tail.mermaidMap]),
+            katexMap: new Map([...frozen.katexMap, ...tail.katexMap]),
+            mermaidSkeleton: tail.mermaidSkeleton || null,
+            openFence: closing.openFence,
+            provisional: closing.closed || !!tail.mermaidSkeleton
+        };
+    }
+    
+    /**
+     * One render cycle: a single pipeline run produces the html, mermaidMap and
+     * katexMap that the incremental renderer patches in, the streaming math
+     * pass scans, and finalize() later reuses.
+     * @returns {Promise<boolean>} True if the DOM was updated
+     */
+    async _renderCycle() {
+        const content = this.content;
+        if (!content || content === this.incrementalRenderer.lastContent || this.aborted) return false;
+
+        const generation = this._generation;
+        const scanFrom = this._frozen.length;
+        let result;
+        try {
+            result = await this._renderFrozen(content);
+        } catch (error) {
+            this._emit('error', { format: 'markdown', source: content, error });
+            throw error;
+        }
+        if (generation !== this._generation) return false;
+        this._lastResult = { content, ...result };
+
         const updated = await this.incrementalRenderer.appendNewContent(
             this.targetElement,
-            this.content,
-            (md, opts) => renderMarkdown(md, { ...this.options, ...opts })
+            content,
+            result,
+            { signal: this.signal, emit: this._emit }
         );
+        if (generation !== this._generation) return false;
 
         if (updated) {
-            this.streamingMathRenderer.processChunk(this.content, this.targetElement);
+            // Only the text that was re-rendered this cycle can hold new formulas
+            this.streamingMathRenderer.processChunk(content.substring(scanFrom), this.targetElement);
+            if (this._follower) this._follower.update();
         }
 
         return updated;
     }
 
     /**
-     * Set full content (replaces existing)
+     * Take over the element's existing DOM as the rendering of `markdown`
+     * (see MertexMD.hydrate()). Formulas and diagrams already rendered there
+     * seed the caches; if the DOM doesn't line up with what `markdown`
+     * renders to, it is patched like a normal render instead.
+     * @param {string} markdown
+     * @returns {Promise<boolean>} True if the existing blocks were adopted
+     */
+    async hydrate(markdown) {
+        const icr = this.incrementalRenderer;
+        const element = this.targetElement;
+        icr.primeCaches(element);
+
+        this._finalized = false;
+        this.content = markdown || '';
+        if (!this.content) {
+            element.innerHTML = '';
+            return false;
+        }
+
+        const result = await this._renderFrozen(this.content, { autoClose: false });
+        const adopted = icr.adoptBlocks(element, result.html);
+        if (!adopted) {
+            icr.keepSelection(element, () => icr.patchBlocks(element, result.html));
+        }
+        icr.lastContent = this.content;
+        this._lastResult = { content: this.content, ...result };
+
+        if (result.mermaidMap.size > 0) icr.mermaidSources = result.mermaidMap;
+        await icr.renderMermaidPlaceholders(element, { signal: this.signal, emit: this._emit });
+        icr.renderKaTeXPlaceholders(element, result.katexMap, { emit: this._emit });
+        if (this._follower) this._follower.update();
+        return adopted;
+    }
+
+    /**
+     * Append content chunk and schedule a re-render. Chunks that arrive
+     * before the next frame are rendered together, and all of their
+     * promises resolve once that render has been applied.
+     * @param {string} chunk - New content to append
+     * @returns {Promise<boolean>} True if content was updated
+     */
+    async appendContent(chunk) {
+        if (!chunk || this.aborted) return false;
+
+        this._finalized = false;
+        this.content += chunk;
+        return this._scheduler.schedule();
+    }
+
+    /**
+     * Set full content (replaces existing). Only what follows the common
+     * prefix with the current content is invalidated: frozen blocks before
+     * it keep their rendered HTML and the DOM blocks that render the same
+     * are kept.
      * @param {string} content - Full content
      * @returns {Promise<boolean>} True if content was updated
      */
     async setContent(content) {
-        this.content = content || '';
+        if (this.aborted) return false;
 
-        return this.incrementalRenderer.appendNewContent(
-            this.targetElement,
-            this.content,
-            (md, opts) => renderMarkdown(md, { ...this.options, ...opts })
-        );
+        const previous = this.content;
+        const next = content || '';
+        const prefix = commonPrefixLength(previous, next);
+
+        this._finalized = false;
+        this.content = next;
+        if (prefix < previous.length) {
+            // A fresh state object, so a render cycle still in flight doesn't
+            // add segments of the old content to it
+            this._frozen = this._createFrozenState(
+                keptSegments(this._frozen.segments, previous, prefix)
+            );
+            this.streamingMathRenderer.invalidate();
+        }
+
+        return this._scheduler.schedule();
+    }
+
+    /**
+     * Drop the last characters of the content, e.g. to regenerate the end of
+     * an answer. Same as setContent() with the shortened text.
+     * @param {number} charCount - Characters to remove from the end
+     * @returns {Promise<boolean>} True if content was updated
+     */
+    async rewind(charCount) {
+        const keep = Math.max(0, this.content.length - Math.max(0, charCount || 0));
+        return this.setContent(this.content.substring(0, keep));
+    }
+
+    /**
+     * Read a whole response into the renderer and finalize it when done.
+     * Chunks are appended as fast as they arrive; rendering still happens
+     * at most once per scheduled frame.
+     * @param {AsyncIterable|Iterable|ReadableStream|Response|string} source -
+     *   Strings or UTF-8 bytes
+     * @param {Object} options
+     * @param {'text'|'sse'|'ndjson'} [options.format='text'] - How the body is framed
+     * @param {(data: string, info: { event?: string }) => string} [options.extract] -
+     *   Pulls the text delta out of an SSE event or NDJSON line. The default
+     *   understands OpenAI, Anthropic and Ollama payloads.
+     * @param {boolean} [options.finalize=true] - Call finalize() after the last chunk
+     * @returns {Promise<string>} The accumulated content
+     */
+    async consume(source, options = {}) {
+        let renderError = null;
+        const deltas = readTextDeltas(source, { ...options, signal: this.signal });
+
+        for await (const text of deltas) {
+            if (this.aborted) break;
+            this.appendContent(text).catch(err => {
+                renderError = renderError || err;
+            });
+        }
+
+        if (renderError) throw renderError;
+        if (this.aborted) {
+            await this._aborting;
+        } else if (options.finalize === false) {
+            await this.flush();
+        } else {
+            await this.finalize();
+        }
+        return this.content;
+    }
+
+    /**
+     * Render buffered chunks now instead of waiting for the next frame
+     * @returns {Promise<boolean>} True if content was updated
+     */
+    async flush() {
+        const updated = await this._scheduler.flush();
+        return updated === true;
     }
     
     /**
      * Finalize rendering (call when streaming completes)
      */
     async finalize() {
+        if (this.aborted) return;
+        const start = typeof performance !== 'undefined' ? performance.now() : Date.now();
+        await this.flush();
+        if (this.aborted) return;
+
         // Remove streaming cursor
-        const cursor = this.targetElement.querySelector('.streaming-cursor');
-        if (cursor) cursor.remove();
+        const icr = this.incrementalRenderer;
+        icr.keepSelection(this.targetElement, () => icr.removeCursor(this.targetElement));
+
+        // Reuse the last cycle unless content moved on or its tail was only
+        // provisional (auto-closed, mermaid skeleton); then render the real text
+        const reusable = this._lastResult && this._lastResult.content === this.content &&
+            !this._lastResult.provisional;
+        const result = reusable
+            ? this._lastResult
+            : await this._renderFrozen(this.content, { autoClose: false });
+        if (!reusable) {
+            icr.keepSelection(this.targetElement, () => icr.patchBlocks(this.targetElement, result.html));
+            icr.lastContent = this.content;
+            this._lastResult = { content: this.content, ...result };
+        }
 
         // Final math render
         this.streamingMathRenderer.finalRender(this.targetElement);
 
-        // Render mermaid diagrams
-        const result = await renderMarkdown(this.content, this.options);
+        const handlerOptions = { signal: this.signal, emit: this._emit, limiter: this.options.mermaidLimiter };
+        if (result.katexMap && result.katexMap.size > 0) {
+            await KaTeXHandler.renderInElement(this.targetElement, result.katexMap, this._selfCorrect(), {
+                ...handlerOptions,
+                cache: this.options.mathCache
+            });
+        }
         if (result.mermaidMap && result.mermaidMap.size > 0) {
-            await MermaidHandler.renderInElement(this.targetElement, result.mermaidMap, this.options.selfCorrect);
+            await MermaidHandler.renderInElement(this.targetElement, result.mermaidMap, this._selfCorrect(), {
+                ...handlerOptions,
+                cache: this.incrementalRenderer.mermaidCache
+            });
         }
+        if (this.aborted) return;
+        // Diagrams that still failed go back to plain placeholders
+        MermaidHandler.clearSkeletons(this.targetElement);
+        if (this._follower) this._follower.update();
+
+        this._finalized = true;
+        const tail = this.options.freezeBlocks === false ? 0 : this._frozen.length;
+        if (tail < this.content.length) {
+            this._emit('blockcomplete', { offset: tail, source: this.content.substring(tail) });
+        }
+        const end = typeof performance !== 'undefined' ? performance.now() : Date.now();
+        this._emit('finalize', { content: this.content, duration: end - start });
+    }
+
+    /**
+     * Cancel the stream: pending renders are dropped, in-flight mermaid
+     * renders and self-correct calls are abandoned, and the element is left
+     * finalized with whatever content had arrived. Unclosed math is shown as
+     * source and diagrams that never rendered are shown as code blocks.
+     * Further appends are ignored until reset().
+     * @param {any} [reason] - Passed on as the signal's abort reason
+     * @returns {Promise<void>}
+     */
+    abort(reason) {
+        if (this.aborted) return this._aborting;
+        this._abortController.abort(reason);
+        this._aborting = this._finishAbort();
+        return this._aborting;
+    }
+
+    async _finishAbort() {
+        if (this._finalized) return;
+
+        const generation = ++this._generation;
+        this._scheduler.cancel(false);
+        await this._scheduler.idle();
+        if (generation !== this._generation) return;
+
+        const icr = this.incrementalRenderer;
+        icr.keepSelection(this.targetElement, () => icr.removeCursor(this.targetElement));
+        if (!this.content) return;
+
+        const result = await this._renderFrozen(this.content, {
+            renderPendingMath: false,
+            autoClose: false,
+            selfCorrect: undefined
+        });
+        if (generation !== this._generation) return;
+
+        icr.keepSelection(this.targetElement, () => icr.patchBlocks(this.targetElement, result.html));
+        icr.lastContent = this.content;
+        // Restores diagrams that were already rendered, starts no new ones
+        await this.incrementalRenderer.renderMermaidPlaceholders(this.targetElement, { signal: this.signal });
+        this.incrementalRenderer.renderKaTeXPlaceholders(this.targetElement, result.katexMap);
+        MermaidHandler.showSource(this.targetElement, result.mermaidMap);
+        this._lastResult = { content: this.content, ...result };
+        if (this._follower) this._follower.update();
     }
     
     /**
-     * Reset for new content
+     * Release the renderer, e.g. when its message is removed. Pending renders
+     * and self-correct calls are cancelled and listeners dropped, but unlike
+     * abort() nothing is rendered into the element any more.
+     */
+    dispose() {
+        if (this._disposed) return;
+        this._disposed = true;
+        this._generation++;
+        this._scheduler.cancel(false);
+        if (!this.aborted) this._abortController.abort('disposed');
+        this._aborting = this._aborting || Promise.resolve();
+        if (this._onExternalAbort) {
+            this.options.signal.removeEventListener('abort', this._onExternalAbort);
+            this._onExternalAbort = null;
+        }
+        const icr = this.incrementalRenderer;
+        icr.keepSelection(this.targetElement, () => icr.removeCursor(this.targetElement));
+        this._events.clear();
+        if (this._follower) this._follower.dispose();
+        if (this._workerStream !== null) {
+            RenderWorkerClient.from(this.options.worker).releaseStream(this._workerStream);
+            this._workerStream = null;
+        }
+    }
+
+    /**
+     * Whether dispose() has been called
+     * @returns {boolean}
+     */
+    get disposed() {
+        return this._disposed;
+    }
+
+    /**
+     * With the `follow` option: whether the scroll container is pinned to the
+     * bottom (false once the user has scrolled up)
+     * @returns {boolean}
+     */
+    get following() {
+        return this._follower ? this._follower.following : false;
+    }
+
+    /**
+     * With the `follow` option: jump to the bottom and follow again, e.g. from
+     * a "scroll to latest" button
+     */
+    scrollToBottom() {
+        if (this._follower) this._follower.scrollToBottom();
+    }
+
+    /**
+     * Reset for new content. Also re-arms a stream that was aborted.
      */
     reset() {
+        this._generation++;
+        this._scheduler.cancel(false);
+        if (this.aborted) this._abortController = new AbortController();
+        this._aborting = null;
+        this._finalized = false;
         this.content = '';
         this.incrementalRenderer.reset();
         this.streamingMathRenderer.reset();
+        this.codeHighlighter.reset();
+        if (this._workerStream !== null && !this._disposed) {
+            const client = RenderWorkerClient.from(this.options.worker);
+            client.releaseStream(this._workerStream);
+            this._workerStream = client.openStream();
+        }
         this._lastMermaidCount = 0;
         this._mermaidRendering = false;
         this._mermaidRendered = new Map();
+        this._frozen = this._createFrozenState();
+        this._lastResult = null;
+        this._mathSeen.clear();
         this.targetElement.innerHTML = '';
     }
     
@@ -210,13 +789,23 @@ class StreamRenderer {
         return {
             incremental: this.incrementalRenderer.getStats(),
             math: this.streamingMathRenderer.getStats(),
-            contentLength: this.content.length
+            highlight: this.codeHighlighter.getStats(),
+            follow: this._follower ? this._follower.getStats() : null,
+            worker: this.options.worker ? RenderWorkerClient.from(this.options.worker).getStats() : null,
+            contentLength: this.content.length,
+            frozenLength: this._frozen.length,
+            scheduler: this._scheduler.getStats(),
+            cache: {
+                math: cacheStats(this.options.mathCache),
+                mermaid: cacheStats(this.incrementalRenderer.mermaidCache)
+            }
         };
     }
 }
 
 // Export for convenience
 MertexMD.StreamRenderer = StreamRenderer;
+MertexMD.StreamSession = StreamSession;
 MertexMD.MathProtector = MathProtector;
 MertexMD.MermaidHandler = MermaidHandler;
 MertexMD.KaTeXHandler = KaTeXHandler;
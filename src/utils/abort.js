@@ -0,0 +1,53 @@
+/**
+ * AbortSignal helpers for cancellable rendering
+ */
+
+/**
+ * Build the error used when work is cancelled
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+export function abortError(signal) {
+    if (signal && signal.reason instanceof Error) return signal.reason;
+    const error = new Error(signal && signal.reason ? String(signal.reason) : 'Aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * @param {AbortSignal} [signal]
+ * @returns {boolean} True if the signal exists and has fired
+ */
+export function isAborted(signal) {
+    return !!(signal && signal.aborted);
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal fires. The
+ * underlying work keeps running (mermaid.render can't be interrupted) but
+ * the caller stops waiting for it.
+ * @param {Promise<any>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+export function raceAbort(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(abortError(signal));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        Promise.resolve(promise).then(
+            (value) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            (err) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(err);
+            }
+        );
+    });
+}
+
+export default { abortError, isAborted, raceAbort };
@@ -0,0 +1,14 @@
+/**
+ * Clock for render durations and trace timestamps
+ */
+
+/**
+ * Milliseconds from a monotonic clock where there is one (performance.now()),
+ * otherwise from Date.now(). Only differences between two calls mean anything.
+ * @returns {number}
+ */
+export function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+export default { now };
@@ -0,0 +1,149 @@
+/**
+ * Code highlighting for the markdown pipeline
+ *
+ * highlightCode() is what a one-shot render uses. While a message streams,
+ * the open tail is re-rendered on every chunk, so a StreamRenderer keeps a
+ * CodeHighlighter that:
+ * - caches the output of closed code blocks by language and text
+ * - re-highlights the growing block only when a line is completed, showing
+ *   the unfinished last line as plain text
+ * - holds off highlightAuto() on an unlabeled block until there is enough
+ *   code to guess from, then keeps the guessed language for that block
+ * Once a block is closed it goes through highlightCode(), so the final HTML
+ * is the same as a one-shot render.
+ */
+
+import { RenderCache } from './render-cache.js';
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+/**
+ * Highlight a code block with hljs: the given language when hljs knows it,
+ * auto-detection otherwise. Falls back to the raw text on errors.
+ * @param {Object} hljsLib
+ * @param {string} text
+ * @param {string} [lang]
+ * @returns {string} HTML
+ */
+export function highlightCode(hljsLib, text, lang) {
+    try {
+        if (lang && hljsLib.getLanguage(lang)) {
+            return hljsLib.highlight(text, { language: lang }).value;
+        }
+        return hljsLib.highlightAuto(text).value;
+    } catch (err) {
+        return text;
+    }
+}
+
+export class CodeHighlighter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.autoDetectLength=80] - Characters of complete
+     *   lines an unlabeled open block needs before its language is guessed
+     * @param {RenderCache|Map} [options.cache] - Closed blocks, keyed lang + '\n' + text
+     */
+    constructor(options = {}) {
+        this.autoDetectLength = options.autoDetectLength ?? 80;
+        this.cache = options.cache || new RenderCache({ maxEntries: 200 });
+        this.growing = null; // { lang, lines, language, detectedAt, html } of the open block
+        this.stats = {
+            highlighted: 0,   // hljs calls
+            cacheHits: 0,
+            lineReuses: 0,    // open block renders that re-used the highlighted lines
+            detectSkipped: 0  // open block renders shown plain while waiting to auto-detect
+        };
+    }
+
+    /**
+     * Highlight a code block
+     * @param {Object} hljsLib
+     * @param {string} text
+     * @param {string} [lang]
+     * @param {Object} [options]
+     * @param {boolean} [options.open=false] - The block's fence is still open
+     * @returns {string} HTML
+     */
+    highlight(hljsLib, text, lang, options = {}) {
+        if (options.open) return this._highlightOpen(hljsLib, text, lang || '');
+
+        const key = (lang || '') + '\n' + text;
+        const cached = this.cache.get(key);
+        if (cached !== undefined) {
+            this.stats.cacheHits++;
+            return cached;
+        }
+        this.stats.highlighted++;
+        const html = highlightCode(hljsLib, text, lang);
+        this.cache.set(key, html);
+        return html;
+    }
+
+    /**
+     * The growing block: complete lines are highlighted (once per new line),
+     * the line still being typed is appended as plain text
+     */
+    _highlightOpen(hljsLib, text, lang) {
+        const split = text.lastIndexOf('\n') + 1;
+        const lines = text.substring(0, split);
+        const partial = escapeHtml(text.substring(split));
+
+        let growing = this.growing;
+        if (!growing || growing.lang !== lang || !lines.startsWith(growing.lines)) {
+            growing = this.growing = { lang, lines: '', language: null, detectedAt: 0, html: '' };
+        }
+        if (growing.lines === lines) {
+            this.stats.lineReuses++;
+            return growing.html + partial;
+        }
+        growing.lines = lines;
+
+        if (!growing.language && lang && hljsLib.getLanguage(lang)) {
+            growing.language = lang;
+        }
+        if (!growing.language) {
+            // highlightAuto() tries every language; wait for enough code and retry
+            // a failed guess only once the block has doubled
+            if (lines.length < Math.max(this.autoDetectLength, growing.detectedAt * 2)) {
+                this.stats.detectSkipped++;
+                growing.html = escapeHtml(lines);
+                return growing.html + partial;
+            }
+            growing.detectedAt = lines.length;
+            this.stats.highlighted++;
+            try {
+                const result = hljsLib.highlightAuto(lines);
+                growing.language = result.language || null;
+                growing.html = result.value;
+            } catch (err) {
+                growing.html = escapeHtml(lines);
+            }
+            return growing.html + partial;
+        }
+
+        this.stats.highlighted++;
+        try {
+            growing.html = hljsLib.highlight(lines, { language: growing.language }).value;
+        } catch (err) {
+            growing.html = escapeHtml(lines);
+        }
+        return growing.html + partial;
+    }
+
+    /**
+     * Forget the open block (the cache of closed blocks is kept)
+     */
+    reset() {
+        this.growing = null;
+    }
+
+    getStats() {
+        return { ...this.stats, cached: this.cache.size };
+    }
+}
+
+export default CodeHighlighter;
@@ -0,0 +1,192 @@
+/**
+ * Code regions - Where in markdown `$` and `\\(` can't be math
+ *
+ * MathProtector and StreamingMathRenderer look for math delimiters only
+ * outside code. findCodeRegions() classifies the text once, in one pass, so
+ * neither has to work out per delimiter whether it sits in code.
+ */
+
+// Markdown that is not prose: inside these, `$` and `\(` are never math
+const CODE_FENCE_RE = /^[ \t]*(`{3,}|~{3,})(.*)$/;
+const CLOSING_FENCE_RE = /^[ \t]*(`{3,}|~{3,})[ \t]*$/;
+const INDENTED_LINE_RE = /^(?: {4}| {0,3}\t)/;
+const LIST_ITEM_RE = /^ {0,3}(?:[-+*]|\d{1,9}[.)])(?:[ \t]|$)/;
+const BLANK_LINE_RE = /\n[ \t]*\n/g;
+// Open tag (group 1: name, group 2: self-closing slash), closing tag,
+// comment, URI autolink, email autolink
+const RAW_HTML_RE = /<(?:([A-Za-z][A-Za-z0-9-]*)(?:\s+[A-Za-z_:][\w.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*(\/?)>|\/[A-Za-z][A-Za-z0-9-]*\s*>|!--[\s\S]*?-->|[A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*>|[\w.!#$%&'*+/=?^`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*>)/y;
+// HTML elements whose content is code
+const RAW_CODE_TAGS = ['code', 'pre', 'kbd', 'samp'];
+
+/**
+ * Index just past the line that closes a fenced code block, or the end of
+ * the text while the block is still open
+ */
+function findFenceEnd(text, from, marker) {
+    let pos = from;
+    while (pos < text.length) {
+        let end = text.indexOf('\n', pos + 1);
+        if (end === -1) end = text.length;
+        const close = text.substring(pos + 1, end).match(CLOSING_FENCE_RE);
+        if (close && close[1][0] === marker[0] && close[1].length >= marker.length) return end;
+        pos = end;
+    }
+    return text.length;
+}
+
+/** Start of the next backtick run of exactly `length` before `end`, or -1 */
+function findBacktickRun(text, from, length, end) {
+    let pos = text.indexOf('`', from);
+    while (pos !== -1 && pos < end) {
+        let run = 1;
+        while (text[pos + run] === '`') run++;
+        if (run === length) return pos;
+        pos = text.indexOf('`', pos + run);
+    }
+    return -1;
+}
+
+function findClosingTag(text, from, name) {
+    const closing = new RegExp('</' + name + '\\s*>', 'ig');
+    closing.lastIndex = from;
+    const match = closing.exec(text);
+    return match ? match.index + match[0].length : from;
+}
+
+function isSpace(c) {
+    return c === undefined || /\s/.test(c);
+}
+
+/** Whether a `$` that can close inline math follows `from` on its line */
+function closesMath(text, from) {
+    for (let i = from; i < text.length && text[i] !== '\n'; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '$') return !isSpace(text[i - 1]);
+    }
+    return false;
+}
+
+/**
+ * Find the code in markdown, in one pass: fenced and indented code blocks,
+ * code spans, autolinks and raw HTML tags (with the content of <code>, <pre>,
+ * <kbd> and <samp>). A fence that is still open runs to the end of the text,
+ * and a backtick run without a closing run of the same length is literal.
+ * A tag inside a `$...$` span on one line is left to the math.
+ * @param {string} text
+ * @returns {Array<[number, number]>} Sorted [start, end) ranges that don't overlap
+ */
+export function findCodeRegions(text) {
+    const regions = [];
+    let prevBlank = true;   // the previous line was blank, or this is the first
+    let inList = false;     // indented lines continue a list item instead of starting code
+    let inIndented = false;
+    let paragraphEnd = -1;
+    const unmatched = new Set(); // backtick run lengths with no closer before paragraphEnd
+
+    let pos = 0;
+    while (pos < text.length) {
+        let lineEnd = text.indexOf('\n', pos);
+        if (lineEnd === -1) lineEnd = text.length;
+        const line = text.substring(pos, lineEnd);
+        const blank = line.trim() === '';
+
+        const fence = line.match(CODE_FENCE_RE);
+        // A backtick fence's info string can't contain backticks (```a``` is a code span)
+        if (fence && !(fence[1][0] === '`' && fence[2].includes('`'))) {
+            const end = findFenceEnd(text, lineEnd, fence[1]);
+            regions.push([pos, end]);
+            pos = end + 1;
+            prevBlank = inIndented = false;
+            continue;
+        }
+
+        // Indented code can't interrupt a paragraph
+        const indented = INDENTED_LINE_RE.test(line);
+        if (!blank && indented && !inList && (prevBlank || inIndented)) {
+            regions.push([pos, lineEnd]);
+            pos = lineEnd + 1;
+            prevBlank = false;
+            inIndented = true;
+            continue;
+        }
+        if (!blank) {
+            if (LIST_ITEM_RE.test(line)) inList = true;
+            else if (!indented && prevBlank) inList = false;
+            inIndented = false;
+        }
+        prevBlank = blank;
+
+        // Code spans and HTML can run on past the end of the line
+        let i = pos;
+        let dollar = -1;        // an open `$` on this line, that may start inline math
+        while (i < text.length && text[i] !== '\n') {
+            const c = text[i];
+            if (c === '$') {
+                if (text[i + 1] === '$') {
+                    i += 2;
+                    continue;
+                }
+                if (dollar !== -1 && !isSpace(text[i - 1])) dollar = -1;
+                else if (!isSpace(text[i + 1])) dollar = i;
+                i++;
+                continue;
+            }
+            if (c === '`') {
+                let run = 1;
+                while (text[i + run] === '`') run++;
+                if (paragraphEnd < i) {
+                    BLANK_LINE_RE.lastIndex = i;
+                    const blankLine = BLANK_LINE_RE.exec(text);
+                    paragraphEnd = blankLine ? blankLine.index : text.length;
+                    unmatched.clear();
+                }
+                const close = unmatched.has(run) ? -1 : findBacktickRun(text, i + run, run, paragraphEnd);
+                if (close === -1) {
+                    unmatched.add(run);
+                    i += run;
+                    continue;
+                }
+                regions.push([i, close + run]);
+                i = close + run;
+                continue;
+            }
+            if (c === '<') {
+                RAW_HTML_RE.lastIndex = i;
+                const tag = RAW_HTML_RE.exec(text);
+                // $a<b c>d$ is math with a comparison in it, not a tag
+                if (tag && !(dollar !== -1 && closesMath(text, i + tag[0].length))) {
+                    let end = i + tag[0].length;
+                    if (tag[1] && !tag[2] && RAW_CODE_TAGS.includes(tag[1].toLowerCase())) {
+                        end = findClosingTag(text, end, tag[1].toLowerCase());
+                    }
+                    regions.push([i, end]);
+                    i = end;
+                    continue;
+                }
+            }
+            i += c === '\\' && i + 1 < text.length && text[i + 1] !== '\n' ? 2 : 1;
+        }
+        pos = i + 1;
+    }
+    return regions;
+}
+
+/**
+ * Whether `pos` lies in one of the regions
+ * @param {Array<[number, number]>} regions - From findCodeRegions()
+ * @param {number} pos
+ * @returns {boolean}
+ */
+export function isInCodeRegion(regions, pos) {
+    let low = 0;
+    let high = regions.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (pos < regions[mid][0]) high = mid - 1;
+        else if (pos >= regions[mid][1]) low = mid + 1;
+        else return true;
+    }
+    return false;
+}
+
+export default { findCodeRegions, isInCodeRegion };
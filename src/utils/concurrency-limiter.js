@@ -0,0 +1,105 @@
+/**
+ * ConcurrencyLimiter - Caps how many async tasks run at once
+ *
+ * Used by StreamSession so the mermaid renders of many concurrent streams
+ * queue up instead of all hitting mermaid.render at the same moment.
+ */
+
+import { abortError, isAborted } from './abort.js';
+
+export class ConcurrencyLimiter {
+    /**
+     * @param {number} [limit=1] - Maximum number of tasks running at once
+     */
+    constructor(limit = 1) {
+        this.limit = Math.max(1, limit);
+        this.active = 0;
+        this.queue = []; // [{ start, reject, signal, onAbort }]
+        this.stats = {
+            started: 0,
+            queued: 0,
+            cancelled: 0
+        };
+    }
+
+    /**
+     * Run a task once a slot is free. A task still waiting for its slot when
+     * the signal fires is dropped and never started.
+     * @param {() => Promise<any>} task
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<any>} Settles with the task
+     */
+    run(task, signal) {
+        if (isAborted(signal)) return Promise.reject(abortError(signal));
+
+        if (this.active < this.limit) return this._start(task);
+
+        this.stats.queued++;
+        return new Promise((resolve, reject) => {
+            const entry = {
+                start: () => this._start(task).then(resolve, reject),
+                reject,
+                signal,
+                onAbort: null
+            };
+            if (signal) {
+                entry.onAbort = () => {
+                    const index = this.queue.indexOf(entry);
+                    if (index === -1) return;
+                    this.queue.splice(index, 1);
+                    this.stats.cancelled++;
+                    reject(abortError(signal));
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            this.queue.push(entry);
+        });
+    }
+
+    async _start(task) {
+        this.active++;
+        this.stats.started++;
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            this._next();
+        }
+    }
+
+    _next() {
+        if (this.active >= this.limit || this.queue.length === 0) return;
+        const entry = this.queue.shift();
+        if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+        entry.start();
+    }
+
+    /**
+     * Number of tasks waiting for a slot
+     * @returns {number}
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            active: this.active,
+            pending: this.queue.length
+        };
+    }
+}
+
+/**
+ * Run a task through a limiter, or directly when there is none
+ * @param {ConcurrencyLimiter|null|undefined} limiter
+ * @param {() => Promise<any>} task
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+export function runLimited(limiter, task, signal) {
+    return limiter ? limiter.run(task, signal) : task();
+}
+
+export default ConcurrencyLimiter;
@@ -0,0 +1,107 @@
+/**
+ * Streaming cursor helpers
+ *
+ * The cursor is placed at the true end of the rendered text: inside the last
+ * paragraph, list item or code line rather than after the last block.
+ */
+
+// Elements the cursor goes after rather than inside
+const OPAQUE_SELECTOR = 'svg, img, br, hr, .katex, .katex-display, .katex-display-wrapper, ' +
+    '.mermaid-container, .mermaid-placeholder, .mermaid-skeleton, .mermaid-skeleton-placeholder, ' +
+    '.katex-placeholder, [data-mermaid-id]';
+
+// cursor -> text node split off behind it, re-joined on removal
+const splitTexts = new WeakMap();
+
+/**
+ * Build the cursor node for a cursor option
+ * @param {boolean|HTMLElement|(() => HTMLElement)} [option=true] - true for the
+ *   default `<span class="streaming-cursor">`, false for none, an element to
+ *   reuse, or a factory called once per renderer
+ * @returns {Node|null}
+ */
+export function createCursor(option = true) {
+    if (option === false || option === null) return null;
+    if (typeof option === 'function') return option() || null;
+    if (option && typeof option === 'object' && typeof option.nodeType === 'number') return option;
+
+    const span = document.createElement('span');
+    span.className = 'streaming-cursor';
+    return span;
+}
+
+function isMeaningful(node, cursor) {
+    if (node === cursor) return false;
+    if (node.nodeType === 3) return node.textContent.trim() !== '';
+    return node.nodeType === 1;
+}
+
+/**
+ * Find the last child that holds content, ignoring whitespace and the cursor
+ * @param {Node} parent
+ * @param {Node} cursor
+ * @returns {Node|null}
+ */
+function lastMeaningfulChild(parent, cursor) {
+    let child = parent.lastChild;
+    while (child && !isMeaningful(child, cursor)) {
+        child = child.previousSibling;
+    }
+    return child;
+}
+
+/**
+ * Insert the cursor at the end of the last text in target
+ * @param {HTMLElement} target
+ * @param {Node} cursor
+ */
+export function placeCursor(target, cursor) {
+    let container = target;
+    let node = lastMeaningfulChild(container, cursor);
+
+    while (node && node.nodeType === 1 && !node.matches(OPAQUE_SELECTOR)) {
+        const child = lastMeaningfulChild(node, cursor);
+        if (!child) break;
+        container = node;
+        node = child;
+    }
+
+    if (!node) {
+        container.appendChild(cursor);
+    } else if (node.nodeType === 3) {
+        // Keep the cursor on the last line of code blocks ending in a newline
+        const trailing = node.textContent.match(/\n+$/);
+        if (trailing) {
+            const rest = node.splitText(node.textContent.length - trailing[0].length);
+            node.parentNode.insertBefore(cursor, rest);
+            splitTexts.set(cursor, rest);
+        } else {
+            node.parentNode.insertBefore(cursor, node.nextSibling);
+        }
+    } else if (node.matches(OPAQUE_SELECTOR) || node.matches('pre, table, ul, ol, blockquote')) {
+        node.parentNode.insertBefore(cursor, node.nextSibling);
+    } else {
+        // Empty element such as a paragraph that has just started
+        node.appendChild(cursor);
+    }
+}
+
+/**
+ * Take the cursor out of the DOM, re-joining a text node it split
+ * @param {Node} cursor
+ */
+export function removeCursor(cursor) {
+    if (!cursor || !cursor.parentNode) return;
+
+    const rest = splitTexts.get(cursor);
+    splitTexts.delete(cursor);
+    const before = cursor.previousSibling;
+    cursor.parentNode.removeChild(cursor);
+
+    if (rest && before && before.nodeType === 3 && before.nextSibling === rest) {
+        before.appendData(rest.data);
+        rest.remove();
+    }
+}
+
+export default { createCursor, placeCursor, removeCursor };
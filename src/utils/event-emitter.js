@@ -0,0 +1,67 @@
+/**
+ * EventEmitter - Minimal listener registry for render lifecycle events
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // event -> Set<Function>
+    }
+
+    /**
+     * Register a listener
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {() => void} Function that removes the listener
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Remove a listener
+     * @param {string} event
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        const set = this.listeners.get(event);
+        if (set) set.delete(callback);
+    }
+
+    /**
+     * Call every listener for an event. A throwing listener is logged and
+     * does not stop the others or the render that emitted the event.
+     * @param {string} event
+     * @param {Object} payload
+     * @returns {boolean} True if at least one listener was called
+     */
+    emit(event, payload) {
+        const set = this.listeners.get(event);
+        if (!set || set.size === 0) return false;
+
+        for (const callback of Array.from(set)) {
+            try {
+                callback(payload);
+            } catch (err) {
+                console.error('[EventEmitter] "' + event + '" listener threw:', err);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @param {string} event
+     * @returns {number}
+     */
+    listenerCount(event) {
+        const set = this.listeners.get(event);
+        return set ? set.size : 0;
+    }
+
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+export default EventEmitter;
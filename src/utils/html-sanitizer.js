@@ -0,0 +1,149 @@
+/**
+ * DOM-free HTML sanitizer - Fallback for DOMPurify where there is no DOM
+ *
+ * DOMPurify needs a window, which plain Node and Web Workers don't have.
+ * sanitizeMarkup() tokenizes the HTML and writes it out again, keeping only
+ * allowed tags and attributes:
+ * - disallowed tags are dropped but their text is kept, except for
+ *   script-like elements, whose content is dropped too
+ * - attribute values are decoded and re-escaped, and URLs with a scheme other
+ *   than http(s), mailto, tel or an inline image are removed
+ * - a `<` that doesn't start a well-formed tag is escaped
+ * It uses the same allow lists as DOMPurify, but it doesn't repair nesting
+ * the way a browser parser does.
+ */
+
+const TAG_RE = /^<([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+const END_TAG_RE = /^<\/([a-zA-Z][a-zA-Z0-9:-]*)\s*>/;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Elements whose content is code or markup, not text to keep
+const DROP_CONTENT = ['script', 'style', 'template', 'iframe', 'object', 'embed',
+    'noscript', 'noembed', 'noframes', 'textarea', 'title', 'xmp', 'math'];
+const VOID_TAGS = ['br', 'hr', 'img', 'input', 'wbr', 'col', 'area', 'source'];
+const URL_ATTRS = ['href', 'src', 'xlink:href'];
+const SAFE_URL_RE = /^(?:(?:https?|mailto|tel|ftp):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+const IMAGE_DATA_RE = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,/i;
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/', period: '.'
+};
+
+/**
+ * Decode character references in an attribute value. Unknown named
+ * references are left as text; escapeAttribute() then writes their `&` as
+ * `&amp;`, so a browser can't decode them into something else.
+ */
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);?/gi, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        const named = NAMED_ENTITIES[ref.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function isSafeUrl(tag, value) {
+    const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (tag === 'img' && IMAGE_DATA_RE.test(url)) return true;
+    return SAFE_URL_RE.test(url);
+}
+
+function sanitizeAttributes(tag, source, allowedAttrs) {
+    let out = '';
+    const seen = new Set();
+    ATTR_RE.lastIndex = 0;
+    let match;
+    while ((match = ATTR_RE.exec(source)) !== null) {
+        const name = match[1].toLowerCase();
+        if (seen.has(name) || !allowedAttrs.has(name) || name.startsWith('on')) continue;
+        seen.add(name);
+
+        const raw = match[2] ?? match[3] ?? match[4] ?? '';
+        const value = decodeEntities(raw);
+        if (URL_ATTRS.includes(name) && !isSafeUrl(tag, value)) continue;
+        if (name === 'style' && /expression\s*\(|url\s*\(|javascript:|@import/i.test(value)) continue;
+        // Keep the author's case for SVG attributes such as viewBox
+        out += ' ' + match[1] + '="' + escapeAttribute(value) + '"';
+    }
+    return out;
+}
+
+/**
+ * Sanitize an HTML string without a DOM
+ * @param {string} html
+ * @param {Object} config - DOMPurify-style allow lists
+ * @param {string[]} config.ALLOWED_TAGS
+ * @param {string[]} config.ALLOWED_ATTR
+ * @returns {string}
+ */
+export function sanitizeMarkup(html, config) {
+    if (!html) return '';
+    const allowedTags = new Set(config.ALLOWED_TAGS.map(tag => tag.toLowerCase()));
+    const allowedAttrs = new Set(config.ALLOWED_ATTR.map(attr => attr.toLowerCase()));
+
+    let out = '';
+    let pos = 0;
+    while (pos < html.length) {
+        const next = html.indexOf('<', pos);
+        if (next === -1) {
+            out += html.substring(pos);
+            break;
+        }
+        out += html.substring(pos, next);
+        pos = next;
+        const rest = html.substring(pos);
+
+        // Comments, doctypes, CDATA and processing instructions
+        if (rest.startsWith('<!--')) {
+            const end = html.indexOf('-->', pos + 4);
+            pos = end === -1 ? html.length : end + 3;
+            continue;
+        }
+        if (/^<[!?]/.test(rest)) {
+            const end = html.indexOf('>', pos);
+            pos = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        const endTag = rest.match(END_TAG_RE);
+        if (endTag) {
+            const tag = endTag[1].toLowerCase();
+            if (allowedTags.has(tag) && !VOID_TAGS.includes(tag)) out += '</' + endTag[1] + '>';
+            pos += endTag[0].length;
+            continue;
+        }
+
+        const startTag = rest.match(TAG_RE);
+        if (!startTag) {
+            out += '&lt;';
+            pos++;
+            continue;
+        }
+        pos += startTag[0].length;
+
+        const tag = startTag[1].toLowerCase();
+        if (DROP_CONTENT.includes(tag)) {
+            if (!startTag[3]) {
+                const close = html.toLowerCase().indexOf('</' + tag, pos);
+                const end = close === -1 ? -1 : html.indexOf('>', close);
+                pos = end === -1 ? html.length : end + 1;
+            }
+            continue;
+        }
+        if (!allowedTags.has(tag)) continue;
+
+        const selfClosing = startTag[3] && !VOID_TAGS.includes(tag) ? '/' : '';
+        out += '<' + startTag[1] + sanitizeAttributes(tag, startTag[2], allowedAttrs) + selfClosing + '>';
+    }
+    return out;
+}
+
+export default { sanitizeMarkup };
@@ -0,0 +1,305 @@
+/**
+ * RenderCache - Bounded cache for rendered KaTeX and Mermaid output
+ *
+ * Lookups are synchronous and served from memory, least recently used
+ * entries are evicted past `maxEntries`. A storage adapter optionally
+ * persists entries (localStorage, IndexedDB or anything implementing the
+ * same four methods) so formulas and diagrams from a previous page load are
+ * available again once the cache has loaded them.
+ *
+ * Storage adapter interface (every method may return a promise):
+ *   load(prefix)        -> Array<[key, value]> for keys starting with prefix, oldest first
+ *   set(key, value)
+ *   delete(key)
+ *   clear(prefix)       -> remove every key starting with prefix
+ */
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+function isThenable(value) {
+    return value && typeof value.then === 'function';
+}
+
+export class RenderCache {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxEntries=500] - Entries kept before the least
+     *   recently used one is evicted
+     * @param {Object} [options.storage] - Storage adapter that persists entries
+     * @param {string} [options.namespace=''] - Key prefix, so several caches can
+     *   share one storage
+     */
+    constructor(options = {}) {
+        this.maxEntries = Math.max(1, options.maxEntries ?? DEFAULT_MAX_ENTRIES);
+        this.storage = options.storage || null;
+        this.prefix = options.namespace ? options.namespace + ':' : '';
+        this.entries = new Map(); // key -> value, least recently used first
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            loaded: 0,
+            storageErrors: 0
+        };
+        this.ready = this.storage ? this._load() : Promise.resolve();
+    }
+
+    /**
+     * Look up an entry, marking it as recently used
+     * @param {string} key
+     * @returns {any} The value, or undefined
+     */
+    get(key) {
+        if (!this.entries.has(key)) {
+            this.stats.misses++;
+            return undefined;
+        }
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.stats.hits++;
+        return value;
+    }
+
+    /**
+     * Whether an entry exists (does not count as a hit or miss)
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    /**
+     * Store an entry
+     * @param {string} key
+     * @param {any} value - Must be JSON-serializable when a storage adapter is used
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Also write to storage; false for
+     *   throwaway entries such as partial diagram previews
+     * @returns {RenderCache}
+     */
+    set(key, value, options = {}) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        if (this.storage && options.persist !== false) {
+            this._store(() => this.storage.set(this.prefix + key, value));
+        }
+        this._evict();
+        return this;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} True if the entry existed
+     */
+    delete(key) {
+        const existed = this.entries.delete(key);
+        if (this.storage) this._store(() => this.storage.delete(this.prefix + key));
+        return existed;
+    }
+
+    /**
+     * Remove every entry, from storage too
+     */
+    clear() {
+        this.entries.clear();
+        if (this.storage) this._store(() => this.storage.clear(this.prefix));
+    }
+
+    /**
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            hitRate: lookups > 0 ? ((this.stats.hits / lookups) * 100).toFixed(1) + '%' : '0%'
+        };
+    }
+
+    _evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+            this.stats.evictions++;
+            if (this.storage) this._store(() => this.storage.delete(this.prefix + oldest));
+        }
+    }
+
+    /**
+     * Run a storage write; failures (quota, private mode) never reach the render
+     */
+    _store(write) {
+        try {
+            const result = write();
+            if (isThenable(result)) result.catch(() => { this.stats.storageErrors++; });
+        } catch (e) {
+            this.stats.storageErrors++;
+        }
+    }
+
+    /**
+     * Read persisted entries in behind the ones already in memory. Synchronous
+     * storage is read before the constructor returns.
+     * @returns {Promise<void>}
+     */
+    _load() {
+        const apply = (stored) => {
+            const loaded = new Map();
+            for (const [key, value] of stored || []) {
+                if (!key.startsWith(this.prefix)) continue;
+                const name = key.substring(this.prefix.length);
+                if (!this.entries.has(name)) loaded.set(name, value);
+            }
+            this.stats.loaded += loaded.size;
+            this.entries = new Map([...loaded, ...this.entries]);
+            this._evict();
+        };
+
+        try {
+            const stored = this.storage.load(this.prefix);
+            if (!isThenable(stored)) {
+                apply(stored);
+                return Promise.resolve();
+            }
+            return stored.then(apply, () => { this.stats.storageErrors++; });
+        } catch (e) {
+            this.stats.storageErrors++;
+            return Promise.resolve();
+        }
+    }
+}
+
+/**
+ * Statistics of a cache passed in as an option; plain Maps only report their size
+ * @param {RenderCache|Map|null|undefined} cache
+ * @returns {Object|null}
+ */
+export function cacheStats(cache) {
+    if (!cache) return null;
+    return typeof cache.getStats === 'function' ? cache.getStats() : { size: cache.size };
+}
+
+/**
+ * Storage adapter that keeps entries in a Map. Caches created with the same
+ * adapter see each other's entries, e.g. across MertexMD instances.
+ * @returns {Object} Storage adapter
+ */
+export function createMemoryStorage() {
+    const map = new Map();
+    return {
+        load: (prefix) => Array.from(map).filter(([key]) => key.startsWith(prefix)),
+        set: (key, value) => { map.delete(key); map.set(key, value); },
+        delete: (key) => { map.delete(key); },
+        clear: (prefix) => {
+            for (const key of Array.from(map.keys())) {
+                if (key.startsWith(prefix)) map.delete(key);
+            }
+        }
+    };
+}
+
+/**
+ * Storage adapter backed by localStorage (or any Web Storage object)
+ * @param {Object} options
+ * @param {string} [options.prefix='mertex:'] - Prefix for the localStorage keys
+ * @param {Storage} [options.storage=localStorage]
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorage(options = {}) {
+    const prefix = options.prefix ?? 'mertex:';
+    const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!storage) throw new Error('[RenderCache] localStorage is not available');
+
+    const keysWith = (start) => {
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(prefix + start)) keys.push(key);
+        }
+        return keys;
+    };
+
+    return {
+        load: (start) => keysWith(start)
+            .map(key => {
+                try {
+                    const record = JSON.parse(storage.getItem(key));
+                    return [key.substring(prefix.length), record.v, record.t];
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => a[2] - b[2])
+            .map(([key, value]) => [key, value]),
+        set: (key, value) => storage.setItem(prefix + key, JSON.stringify({ v: value, t: Date.now() })),
+        delete: (key) => storage.removeItem(prefix + key),
+        clear: (start) => keysWith(start).forEach(key => storage.removeItem(key))
+    };
+}
+
+/**
+ * Storage adapter backed by IndexedDB, for caches too large for localStorage
+ * @param {Object} options
+ * @param {string} [options.dbName='mertex-cache']
+ * @param {string} [options.storeName='renders']
+ * @param {IDBFactory} [options.indexedDB=indexedDB]
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDBStorage(options = {}) {
+    const dbName = options.dbName || 'mertex-cache';
+    const storeName = options.storeName || 'renders';
+    const idb = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!idb) throw new Error('[RenderCache] IndexedDB is not available');
+
+    let opening = null;
+    const open = () => opening || (opening = new Promise((resolve, reject) => {
+        const request = idb.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }));
+
+    // Run fn against the object store; resolves with what fn returns once the transaction completes
+    const transact = (mode, fn) => open().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const result = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+
+    const range = (start) => IDBKeyRange.bound(start, start + '\uffff');
+
+    return {
+        load: (start) => transact('readonly', store => {
+            const records = [];
+            const request = store.openCursor(start ? range(start) : null);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                records.push([cursor.key, cursor.value.v, cursor.value.t]);
+                cursor.continue();
+            };
+            return records;
+        }).then(records => records
+            .sort((a, b) => a[2] - b[2])
+            .map(([key, value]) => [key, value])),
+        set: (key, value) => transact('readwrite', store => { store.put({ v: value, t: Date.now() }, key); }),
+        delete: (key) => transact('readwrite', store => { store.delete(key); }),
+        clear: (start) => transact('readwrite', store => {
+            if (start) store.delete(range(start));
+            else store.clear();
+        })
+    };
+}
+
+export default RenderCache;
@@ -0,0 +1,185 @@
+/**
+ * RenderScheduler - Coalesces render requests into one render per frame
+ *
+ * Callers ask for a render with schedule(); every request made before the
+ * render starts shares its result. The render runs on the next animation
+ * frame, idle period or timer tick depending on the mode, and never
+ * overlaps with itself.
+ */
+
+import { now } from './clock.js';
+
+const FRAME_FALLBACK_MS = 16;
+
+/**
+ * Build request/cancel functions for a scheduling mode
+ * @param {'frame'|'idle'|'sync'|number} mode
+ * @returns {{ request: (fn: Function) => any, cancel: (handle: any) => void } | null}
+ *   null for 'sync' (run immediately)
+ */
+function createTimer(mode) {
+    if (mode === 'sync' || mode === 0 || mode === false) return null;
+
+    if (typeof mode === 'number') {
+        return {
+            request: (fn) => setTimeout(fn, mode),
+            cancel: (handle) => clearTimeout(handle)
+        };
+    }
+
+    if (mode === 'idle' && typeof requestIdleCallback === 'function') {
+        return {
+            request: (fn) => requestIdleCallback(fn, { timeout: 100 }),
+            cancel: (handle) => cancelIdleCallback(handle)
+        };
+    }
+
+    if (typeof requestAnimationFrame === 'function') {
+        return {
+            request: (fn) => requestAnimationFrame(fn),
+            cancel: (handle) => cancelAnimationFrame(handle)
+        };
+    }
+
+    // Node / jsdom: no rAF, approximate a frame with a timer
+    return {
+        request: (fn) => setTimeout(fn, FRAME_FALLBACK_MS),
+        cancel: (handle) => clearTimeout(handle)
+    };
+}
+
+export class RenderScheduler {
+    /**
+     * @param {() => Promise<any>} task - The render to run
+     * @param {Object} options
+     * @param {'frame'|'idle'|'sync'|number} [options.schedule='frame'] - When to
+     *   run: next animation frame, next idle period, immediately, or after N ms
+     */
+    constructor(task, options = {}) {
+        this.task = task;
+        this.timer = createTimer(options.schedule ?? 'frame');
+        this.handle = null;
+        this.waiters = [];
+        this.running = null;
+        this.stats = {
+            requests: 0,
+            renders: 0,
+            lastRenderMs: 0
+        };
+    }
+
+    /**
+     * Request a render. Resolves with the result of the render that picks it up.
+     * @returns {Promise<any>}
+     */
+    schedule() {
+        this.stats.requests++;
+        const promise = new Promise((resolve, reject) => {
+            this.waiters.push({ resolve, reject });
+        });
+        this._request();
+        return promise;
+    }
+
+    /**
+     * Run any pending render now instead of waiting for the next frame.
+     * @returns {Promise<any>} Result of the render, or undefined if none was pending
+     */
+    async flush() {
+        // The render in progress may queue the next one as it settles, so
+        // cancel the timer only once nothing is running
+        while (this.running) await this.running;
+        this._cancelTimer();
+        if (this.waiters.length === 0) return undefined;
+        return this._run();
+    }
+
+    /**
+     * Drop the pending render; waiting callers resolve with `value`.
+     * @param {any} value
+     */
+    cancel(value = false) {
+        this._cancelTimer();
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(w => w.resolve(value));
+    }
+
+    /**
+     * Wait for the render in progress, if any, without starting a new one.
+     * Errors from that render are swallowed; its callers already saw them.
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        while (this.running) {
+            await this.running.catch(() => {});
+        }
+    }
+
+    /**
+     * Whether a render is queued or in progress
+     * @returns {boolean}
+     */
+    isPending() {
+        return this.waiters.length > 0 || this.running !== null;
+    }
+
+    _request() {
+        if (this.handle !== null || this.running) return;
+        if (!this.timer) {
+            this._run();
+            return;
+        }
+        this.handle = this.timer.request(() => {
+            this.handle = null;
+            // A flush() started a render in the meantime; it re-requests when done
+            if (this.running) return;
+            this._run();
+        });
+    }
+
+    _cancelTimer() {
+        if (this.handle !== null && this.timer) {
+            this.timer.cancel(this.handle);
+        }
+        this.handle = null;
+    }
+
+    _run() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        const start = now();
+
+        const run = (async () => {
+            try {
+                const result = await this.task();
+                waiters.forEach(w => w.resolve(result));
+                return result;
+            } catch (err) {
+                waiters.forEach(w => w.reject(err));
+                throw err;
+            } finally {
+                this.stats.renders++;
+                this.stats.lastRenderMs = now() - start;
+            }
+        })();
+
+        this.running = run;
+        const settle = () => {
+            if (this.running === run) this.running = null;
+            // Chunks that arrived mid-render get the next frame
+            if (this.waiters.length > 0) this._request();
+        };
+        run.then(settle, settle);
+        return run;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            coalesced: this.stats.requests - this.stats.renders
+        };
+    }
+}
+
+export default RenderScheduler;
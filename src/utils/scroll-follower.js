@@ -0,0 +1,151 @@
+/**
+ * ScrollFollower - Keeps a scroll container pinned to the bottom of a stream
+ *
+ * While the user is at the bottom, every update scrolls the container back
+ * to the bottom. Scrolling up stops following; scrolling back to the bottom
+ * resumes it. While not following, the viewport is anchored: the first
+ * block in view keeps its position when blocks above it change height
+ * (a diagram or formula replacing its placeholder), the same job CSS
+ * `overflow-anchor` does in browsers that support it.
+ */
+
+const DEFAULT_THRESHOLD = 40;
+
+function isWindow(container) {
+    return typeof window !== 'undefined' && container === window;
+}
+
+export class ScrollFollower {
+    /**
+     * @param {HTMLElement|Window} container - Element that scrolls (or window)
+     * @param {HTMLElement} target - Element the stream renders into
+     * @param {Object} options
+     * @param {number} [options.threshold=40] - Distance from the bottom, in
+     *   pixels, that still counts as "at the bottom"
+     */
+    constructor(container, target, options = {}) {
+        this.container = container;
+        this.target = target;
+        this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+        this.following = true;
+        this.anchor = null; // { element, offset } of the first block in view
+        this.lastScrollTop = this._scroller().scrollTop;
+        this.stats = { pinned: 0, anchored: 0 };
+
+        this._onScroll = () => this._handleScroll();
+        container.addEventListener('scroll', this._onScroll, { passive: true });
+
+        // Diagrams and formulas land after the render cycle that placed them
+        this._observer = null;
+        if (typeof ResizeObserver === 'function') {
+            this._observer = new ResizeObserver(() => this.update());
+            this._observer.observe(target);
+        }
+    }
+
+    /**
+     * Element whose scrollTop / scrollHeight apply
+     */
+    _scroller() {
+        if (isWindow(this.container)) return document.scrollingElement || document.documentElement;
+        return this.container;
+    }
+
+    _viewportTop() {
+        return isWindow(this.container) ? 0 : this.container.getBoundingClientRect().top;
+    }
+
+    _viewportHeight() {
+        return isWindow(this.container) ? window.innerHeight : this.container.clientHeight;
+    }
+
+    /**
+     * Whether the container is scrolled to (within threshold of) the bottom
+     * @returns {boolean}
+     */
+    isAtBottom() {
+        const scroller = this._scroller();
+        return scroller.scrollHeight - scroller.scrollTop - this._viewportHeight() <= this.threshold;
+    }
+
+    _handleScroll() {
+        const scrollTop = this._scroller().scrollTop;
+        if (scrollTop < this.lastScrollTop - 1) {
+            this.following = false; // any upward scroll by the user
+        } else if (this.isAtBottom()) {
+            this.following = true;
+        }
+        this.lastScrollTop = scrollTop;
+        if (!this.following) this._captureAnchor();
+    }
+
+    /**
+     * Remember the first block whose top is in view (or, if a single block
+     * spans the top edge, that block) and its distance from the viewport top
+     */
+    _captureAnchor() {
+        const top = this._viewportTop();
+        let anchor = null;
+        for (const child of this.target.children) {
+            const rect = child.getBoundingClientRect();
+            if (rect.bottom <= top) continue;
+            anchor = child;
+            if (rect.top >= top) break;
+        }
+        this.anchor = anchor ? { element: anchor, offset: anchor.getBoundingClientRect().top - top } : null;
+    }
+
+    _scrollTo(scrollTop) {
+        const scroller = this._scroller();
+        scroller.scrollTop = scrollTop;
+        this.lastScrollTop = scroller.scrollTop;
+    }
+
+    /**
+     * Apply the follow / anchor rule after the target's content changed
+     */
+    update() {
+        if (this.following) {
+            const scroller = this._scroller();
+            const bottom = scroller.scrollHeight - this._viewportHeight();
+            if (scroller.scrollTop < bottom) {
+                this._scrollTo(bottom);
+                this.stats.pinned++;
+            }
+            // Content that shrank clamps scrollTop; that is not the user scrolling up
+            this.lastScrollTop = scroller.scrollTop;
+            return;
+        }
+
+        const anchor = this.anchor;
+        if (anchor && anchor.element.isConnected) {
+            const shift = anchor.element.getBoundingClientRect().top - this._viewportTop() - anchor.offset;
+            if (Math.abs(shift) >= 1) {
+                this._scrollTo(this._scroller().scrollTop + shift);
+                this.stats.anchored++;
+            }
+        }
+        this._captureAnchor();
+    }
+
+    /**
+     * Start following again and jump to the bottom
+     */
+    scrollToBottom() {
+        this.following = true;
+        this.update();
+    }
+
+    dispose() {
+        this.container.removeEventListener('scroll', this._onScroll);
+        if (this._observer) this._observer.disconnect();
+        this._observer = null;
+        this.anchor = null;
+    }
+
+    getStats() {
+        return { following: this.following, ...this.stats };
+    }
+}
+
+export default ScrollFollower;
@@ -0,0 +1,187 @@
+/**
+ * Selection helpers - Keep the user's selection and focus across DOM patches
+ *
+ * A streaming update replaces the blocks that changed, which drops any
+ * selection inside them, and removing the cursor re-joins the text node it
+ * split. saveSelection() records each end of the selection both as its
+ * DOM position and as a text offset inside its top-level block;
+ * restoreSelection() puts it back on the same nodes when they survived, or
+ * on the same text in the re-rendered block when the text before it is
+ * unchanged.
+ */
+
+function getSelectionObject() {
+    if (typeof document === 'undefined' || typeof document.getSelection !== 'function') return null;
+    return document.getSelection();
+}
+
+/**
+ * Text nodes of root in document order, leaving out those inside skip
+ * @param {Node} root
+ * @param {Node|null} skip - e.g. the streaming cursor
+ * @returns {Text[]}
+ */
+function textNodes(root, skip) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+        if (!skip || !skip.contains(walker.currentNode)) nodes.push(walker.currentNode);
+    }
+    return nodes;
+}
+
+/**
+ * Number of characters of block's text before a boundary point
+ */
+function textOffset(block, node, offset, skip) {
+    let count = 0;
+    if (node.nodeType === 3) {
+        for (const text of textNodes(block, skip)) {
+            if (text === node) return count + offset;
+            count += text.length;
+        }
+        return count;
+    }
+
+    // Element boundary: before its offset-th child, or at its end
+    const ref = node.childNodes[offset] || null;
+    for (const text of textNodes(block, skip)) {
+        const reached = ref
+            ? ref === text || ref.contains(text) || (ref.compareDocumentPosition(text) & Node.DOCUMENT_POSITION_FOLLOWING)
+            : !node.contains(text) && (node.compareDocumentPosition(text) & Node.DOCUMENT_POSITION_FOLLOWING);
+        if (reached) break;
+        count += text.length;
+    }
+    return count;
+}
+
+/**
+ * Index of the top-level child of root that holds node
+ */
+function blockIndex(root, node) {
+    let block = node;
+    while (block.parentNode !== root) block = block.parentNode;
+    return Array.prototype.indexOf.call(root.childNodes, block);
+}
+
+function savePoint(root, node, offset, skip) {
+    if (!root.contains(node)) return { node, offset, outside: true };
+
+    let index;
+    let text;
+    if (node === root) {
+        // Between blocks: the start of the next block, or the end of the last one
+        index = Math.min(offset, root.childNodes.length - 1);
+        text = offset < root.childNodes.length ? 0 : textNodes(root.childNodes[index], skip).reduce((n, t) => n + t.length, 0);
+    } else {
+        index = blockIndex(root, node);
+        text = textOffset(root.childNodes[index], node, offset, skip);
+    }
+    const block = root.childNodes[index];
+    const prefix = block ? textNodes(block, skip).map(t => t.data).join('').substring(0, text) : '';
+    return { node, offset, index, prefix };
+}
+
+/**
+ * Resolve a saved point against the updated DOM
+ * @returns {{ node: Node, offset: number }|null}
+ */
+function resolvePoint(root, point) {
+    if (point.outside) return point;
+
+    const { node, offset } = point;
+    const length = node.nodeType === 3 ? node.length : node.childNodes.length;
+    if (node.isConnected && root.contains(node) && offset <= length) return { node, offset };
+
+    const block = root.childNodes[point.index];
+    if (!block) return null;
+    const texts = textNodes(block, null);
+    if (!texts.map(t => t.data).join('').startsWith(point.prefix)) return null;
+
+    let remaining = point.prefix.length;
+    for (const text of texts) {
+        if (remaining <= text.length) return { node: text, offset: remaining };
+        remaining -= text.length;
+    }
+    return { node: block, offset: block.childNodes.length };
+}
+
+/**
+ * Path of child indexes from root to node
+ */
+function pathTo(root, node) {
+    const path = [];
+    while (node !== root) {
+        path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+        node = node.parentNode;
+    }
+    return path;
+}
+
+/**
+ * Record the selection and focused element inside root
+ * @param {HTMLElement} root - Element about to be patched
+ * @param {Node|null} [skip] - Node whose text doesn't count (the cursor)
+ * @returns {Object|null} Saved state, or null when nothing inside root is
+ *   selected or focused
+ */
+export function saveSelection(root, skip = null) {
+    const saved = { selection: null, focus: null };
+
+    const selection = getSelectionObject();
+    if (selection && selection.rangeCount > 0 && selection.anchorNode && selection.focusNode &&
+        (root.contains(selection.anchorNode) || root.contains(selection.focusNode))) {
+        saved.selection = {
+            anchor: savePoint(root, selection.anchorNode, selection.anchorOffset, skip),
+            focus: savePoint(root, selection.focusNode, selection.focusOffset, skip)
+        };
+    }
+
+    const active = document.activeElement;
+    if (active && active !== root && root.contains(active)) {
+        saved.focus = { element: active, path: pathTo(root, active) };
+    }
+
+    return saved.selection || saved.focus ? saved : null;
+}
+
+/**
+ * Put back what saveSelection() recorded, where it still applies
+ * @param {HTMLElement} root
+ * @param {Object|null} saved - Result of saveSelection()
+ * @returns {boolean} True if the selection or focus had to be restored
+ */
+export function restoreSelection(root, saved) {
+    if (!saved) return false;
+    let restored = false;
+
+    if (saved.selection) {
+        const anchor = resolvePoint(root, saved.selection.anchor);
+        const focus = resolvePoint(root, saved.selection.focus);
+        const selection = getSelectionObject();
+        if (anchor && focus && selection) {
+            const unchanged = selection.anchorNode === anchor.node && selection.anchorOffset === anchor.offset &&
+                selection.focusNode === focus.node && selection.focusOffset === focus.offset;
+            if (!unchanged) {
+                selection.setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+                restored = true;
+            }
+        }
+    }
+
+    if (saved.focus && !saved.focus.element.isConnected &&
+        (!document.activeElement || document.activeElement === document.body)) {
+        let element = root;
+        for (const index of saved.focus.path) {
+            element = element && element.childNodes[index];
+        }
+        if (element && element.nodeName === saved.focus.element.nodeName && typeof element.focus === 'function') {
+            element.focus({ preventScroll: true });
+            restored = document.activeElement === element || restored;
+        }
+    }
+
+    return restored;
+}
+
+export default { saveSelection, restoreSelection };
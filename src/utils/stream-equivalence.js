@@ -0,0 +1,214 @@
+/**
+ * Streaming equivalence checker
+ *
+ * Streams a document through StreamRenderer + finalize() with different
+ * chunk boundaries and compares the final DOM with a one-shot
+ * renderInElement() of the same text. Any difference is a streaming bug:
+ * state left behind by an intermediate render (pending math, a skeleton, a
+ * mis-detected currency value) that finalize() didn't clean up.
+ */
+
+const DEFAULT_IGNORED_ATTRIBUTES = ['id'];
+
+/**
+ * Small seeded PRNG so random splits can be reproduced from the seed
+ * @param {number} seed
+ * @returns {() => number} Returns floats in [0, 1)
+ */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Cut text at the given offsets
+ * @param {string} text
+ * @param {number[]} offsets - Ascending, between 1 and text.length - 1
+ * @returns {string[]}
+ */
+function splitAt(text, offsets) {
+    const chunks = [];
+    let last = 0;
+    for (const offset of offsets) {
+        if (offset <= last || offset >= text.length) continue;
+        chunks.push(text.substring(last, offset));
+        last = offset;
+    }
+    chunks.push(text.substring(last));
+    return chunks;
+}
+
+/**
+ * Build the chunkings to try
+ * @param {string} text
+ * @param {Object} options - See checkStreamEquivalence
+ * @returns {string[][]}
+ */
+function chunkings(text, options) {
+    const split = options.split ?? 'random';
+
+    if (Array.isArray(split)) return [splitAt(text, split)];
+    if (split === 'characters') return [Array.from(text)];
+    if (split === 'each') {
+        const step = Math.max(1, options.step ?? 1);
+        const runs = [];
+        for (let offset = 1; offset < text.length; offset += step) {
+            runs.push(splitAt(text, [offset]));
+        }
+        return runs;
+    }
+    if (split === 'random') {
+        const random = mulberry32(options.seed ?? 1);
+        const maxChunk = Math.max(1, options.maxChunk ?? 16);
+        const runs = [];
+        for (let sample = 0; sample < (options.samples ?? 10); sample++) {
+            const offsets = [];
+            let offset = 0;
+            while (offset < text.length) {
+                offset += 1 + Math.floor(random() * maxChunk);
+                offsets.push(offset);
+            }
+            runs.push(splitAt(text, offsets));
+        }
+        return runs;
+    }
+    throw new Error('[stream-equivalence] Unknown split mode: ' + split);
+}
+
+function describe(node) {
+    if (!node) return null;
+    if (node.nodeType === 3) return JSON.stringify(node.textContent);
+    return '<' + node.nodeName.toLowerCase() + '>';
+}
+
+/**
+ * Children that matter for comparison: elements and non-blank text
+ */
+function meaningfulChildren(node) {
+    return Array.from(node.childNodes).filter(child =>
+        child.nodeType === 1 || (child.nodeType === 3 && child.textContent.trim() !== '')
+    );
+}
+
+/**
+ * Compare two DOM trees structurally. Whitespace-only text nodes are
+ * skipped, runs of whitespace compare equal and attribute order is ignored.
+ * @param {Node} expected
+ * @param {Node} actual
+ * @param {Object} options
+ * @param {string[]} [options.ignoreAttributes=['id']] - Attributes not compared
+ *   (mermaid containers get time-based ids)
+ * @param {number} [options.maxDiffs=10] - Stop after this many differences
+ * @returns {Array<{ path: string, kind: 'node'|'text'|'attribute'|'missing'|'extra', expected: any, actual: any }>}
+ */
+export function diffDom(expected, actual, options = {}) {
+    const ignored = new Set(options.ignoreAttributes ?? DEFAULT_IGNORED_ATTRIBUTES);
+    const maxDiffs = options.maxDiffs ?? 10;
+    const diffs = [];
+    const a = expected.cloneNode(true);
+    const b = actual.cloneNode(true);
+    a.normalize();
+    b.normalize();
+
+    const compare = (left, right, path) => {
+        if (diffs.length >= maxDiffs) return;
+
+        if (left.nodeType !== right.nodeType ||
+            (left.nodeType === 1 && left.nodeName !== right.nodeName)) {
+            diffs.push({ path, kind: 'node', expected: describe(left), actual: describe(right) });
+            return;
+        }
+        if (left.nodeType === 3) {
+            const leftText = left.textContent.replace(/\s+/g, ' ').trim();
+            const rightText = right.textContent.replace(/\s+/g, ' ').trim();
+            if (leftText !== rightText) diffs.push({ path, kind: 'text', expected: leftText, actual: rightText });
+            return;
+        }
+
+        // The roots are the two target elements; only their content is compared
+        const names = path === 'root' ? new Set() : new Set([...left.getAttributeNames(), ...right.getAttributeNames()]);
+        for (const name of Array.from(names).sort()) {
+            if (ignored.has(name)) continue;
+            const leftValue = left.getAttribute(name);
+            const rightValue = right.getAttribute(name);
+            if (leftValue !== rightValue) {
+                diffs.push({ path: path + '[' + name + ']', kind: 'attribute', expected: leftValue, actual: rightValue });
+            }
+        }
+
+        const leftChildren = meaningfulChildren(left);
+        const rightChildren = meaningfulChildren(right);
+        const count = Math.max(leftChildren.length, rightChildren.length);
+        for (let i = 0; i < count && diffs.length < maxDiffs; i++) {
+            const child = leftChildren[i] || rightChildren[i];
+            const childPath = path + ' > ' + (child.nodeType === 3 ? '#text' : child.nodeName.toLowerCase()) + ':' + (i + 1);
+            if (!rightChildren[i]) {
+                diffs.push({ path: childPath, kind: 'missing', expected: describe(leftChildren[i]), actual: null });
+            } else if (!leftChildren[i]) {
+                diffs.push({ path: childPath, kind: 'extra', expected: null, actual: describe(rightChildren[i]) });
+            } else {
+                compare(leftChildren[i], rightChildren[i], childPath);
+            }
+        }
+    };
+
+    compare(a, b, 'root');
+    return diffs;
+}
+
+/**
+ * Stream a document with different chunk boundaries and compare each final
+ * DOM with the one-shot render.
+ * @param {MertexMD} renderer - Renderer whose configuration is checked
+ * @param {string} markdown - Document to check
+ * @param {Object} options
+ * @param {'random'|'each'|'characters'|number[]} [options.split='random'] -
+ *   `random`: `samples` runs with chunks of 1..`maxChunk` characters;
+ *   `each`: one run per offset (every `step` characters) split in two;
+ *   `characters`: a single run with one chunk per character;
+ *   an array: a single run split at those offsets
+ * @param {number} [options.samples=10] - Runs for `random`
+ * @param {number} [options.maxChunk=16] - Longest chunk for `random`
+ * @param {number} [options.seed=1] - Seed for `random`; same seed, same splits
+ * @param {number} [options.step=1] - Offset increment for `each`
+ * @param {Object} [options.streamOptions] - Passed to createStreamRenderer
+ *   (default schedule is 'sync' so every chunk is rendered)
+ * @param {number} [options.maxFailures=5] - Stop after this many failing runs
+ * @param {string[]} [options.ignoreAttributes] - See diffDom
+ * @param {() => HTMLElement} [options.createTarget] - Element factory
+ * @returns {Promise<{ equivalent: boolean, runs: number, failures: Array<{ chunks: string[], diffs: Array }> }>}
+ */
+export async function checkStreamEquivalence(renderer, markdown, options = {}) {
+    const createTarget = options.createTarget || (() => document.createElement('div'));
+    const maxFailures = options.maxFailures ?? 5;
+
+    const expected = createTarget();
+    await renderer.renderInElement(expected, markdown);
+
+    const failures = [];
+    let runs = 0;
+    for (const chunks of chunkings(markdown, options)) {
+        runs++;
+        const stream = renderer.createStreamRenderer(createTarget(), { schedule: 'sync', ...options.streamOptions });
+        for (const chunk of chunks) {
+            await stream.appendContent(chunk);
+        }
+        await stream.finalize();
+
+        const diffs = diffDom(expected, stream.targetElement, options);
+        if (diffs.length > 0) {
+            failures.push({ chunks, diffs });
+            if (failures.length >= maxFailures) break;
+        }
+    }
+
+    return { equivalent: failures.length === 0, runs, failures };
+}
+
+export default { checkStreamEquivalence, diffDom };
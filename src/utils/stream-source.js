@@ -0,0 +1,169 @@
+/**
+ * Stream sources - Turn response bodies and iterables into text deltas
+ *
+ * Accepts async/sync iterables, ReadableStreams and fetch Responses, decodes
+ * bytes as UTF-8 across chunk boundaries and, for SSE and NDJSON bodies,
+ * pulls the text delta out of each event.
+ */
+
+/**
+ * Pull the text out of an OpenAI, Anthropic or Ollama style event payload.
+ * Payloads that aren't JSON are treated as plain text.
+ * @param {string} data - SSE `data:` payload or NDJSON line
+ * @returns {string} Text delta ('' if the event carries none)
+ */
+export function extractDelta(data) {
+    if (data === '[DONE]') return '';
+
+    let event;
+    try {
+        event = JSON.parse(data);
+    } catch (e) {
+        return data;
+    }
+    if (typeof event === 'string') return event;
+    if (!event || typeof event !== 'object') return '';
+
+    // OpenAI chat / completions
+    if (Array.isArray(event.choices) && event.choices.length > 0) {
+        const choice = event.choices[0];
+        if (choice.delta && typeof choice.delta.content === 'string') return choice.delta.content;
+        if (typeof choice.text === 'string') return choice.text;
+        return '';
+    }
+    // Anthropic Messages API
+    if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+        return event.delta.text;
+    }
+    // Ollama chat / generate
+    if (event.message && typeof event.message.content === 'string') return event.message.content;
+    if (typeof event.response === 'string') return event.response;
+
+    return '';
+}
+
+/**
+ * Iterate a source as decoded strings
+ * @param {AsyncIterable|Iterable|ReadableStream|Response|string} source
+ * @param {AbortSignal} [signal] - Cancels the underlying reader when it fires
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readStrings(source, signal) {
+    if (typeof source === 'string') {
+        yield source;
+        return;
+    }
+    if (source && source.body && typeof source.body.getReader === 'function') {
+        source = source.body; // fetch Response
+    }
+
+    const decoder = new TextDecoder();
+    const decode = (chunk) => typeof chunk === 'string'
+        ? chunk
+        : decoder.decode(chunk, { stream: true });
+
+    if (source && typeof source.getReader === 'function') {
+        const reader = source.getReader();
+        const onAbort = () => reader.cancel().catch(() => {});
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        try {
+            while (!(signal && signal.aborted)) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                yield decode(value);
+            }
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reader.releaseLock();
+        }
+    } else if (source && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+        for await (const chunk of source) {
+            if (signal && signal.aborted) break;
+            yield decode(chunk);
+        }
+    } else {
+        throw new TypeError('[stream-source] Expected an async iterable, ReadableStream, Response or string');
+    }
+
+    const rest = decoder.decode();
+    if (rest) yield rest;
+}
+
+/**
+ * Split a string stream into lines, holding back the unterminated last line
+ * @param {AsyncIterable<string>} strings
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readLines(strings) {
+    let buffer = '';
+    for await (const text of strings) {
+        buffer += text;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            yield buffer.substring(0, newline).replace(/\r$/, '');
+            buffer = buffer.substring(newline + 1);
+        }
+    }
+    if (buffer) yield buffer.replace(/\r$/, '');
+}
+
+/**
+ * Group SSE lines into events
+ * @param {AsyncIterable<string>} lines
+ * @returns {AsyncGenerator<{ event: string, data: string }>}
+ */
+async function* readEvents(lines) {
+    let event = 'message';
+    let data = [];
+    for await (const line of lines) {
+        if (line === '') {
+            if (data.length > 0) yield { event, data: data.join('\n') };
+            event = 'message';
+            data = [];
+        } else if (line.startsWith(':')) {
+            continue; // comment / keep-alive
+        } else {
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.substring(0, colon);
+            const value = colon === -1 ? '' : line.substring(colon + 1).replace(/^ /, '');
+            if (field === 'data') data.push(value);
+            else if (field === 'event') event = value;
+        }
+    }
+    if (data.length > 0) yield { event, data: data.join('\n') };
+}
+
+/**
+ * Turn a source into the text deltas to append
+ * @param {AsyncIterable|Iterable|ReadableStream|Response|string} source
+ * @param {Object} options
+ * @param {'text'|'sse'|'ndjson'} [options.format='text'] - How the body is framed
+ * @param {(data: string, info: { event?: string }) => string} [options.extract] -
+ *   Pulls the text out of an SSE event or NDJSON line (default: extractDelta)
+ * @param {AbortSignal} [options.signal] - Stops reading when it fires
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readTextDeltas(source, options = {}) {
+    const format = options.format || 'text';
+    const extract = options.extract || extractDelta;
+    const strings = readStrings(source, options.signal);
+
+    if (format === 'text') {
+        yield* strings;
+    } else if (format === 'sse') {
+        for await (const { event, data } of readEvents(readLines(strings))) {
+            const text = extract(data, { event });
+            if (text) yield text;
+        }
+    } else if (format === 'ndjson') {
+        for await (const line of readLines(strings)) {
+            if (!line.trim()) continue;
+            const text = extract(line, {});
+            if (text) yield text;
+        }
+    } else {
+        throw new Error('[stream-source] Unknown format: ' + format);
+    }
+}
+
+export default { readTextDeltas, extractDelta };
@@ -0,0 +1,207 @@
+/**
+ * Stream traces - Record a live streaming session and replay it
+ *
+ * Streaming bugs usually depend on exactly where the chunk boundaries fell.
+ * A StreamRecorder captures every call made on a StreamRenderer (chunks,
+ * setContent, finalize, abort...) with its timing as a JSON trace; replayTrace()
+ * drives another renderer through the same calls, instantly or at the
+ * recorded pace, and snapshots the DOM after each step.
+ *
+ * Trace format:
+ *   {
+ *     version: 1,
+ *     recordedAt: '2024-01-01T00:00:00.000Z',
+ *     options: { schedule: 'frame', ... },   // JSON-safe stream options
+ *     steps: [{ t: 0, op: 'append', chunk: 'Hello' }, { t: 812.4, op: 'finalize' }]
+ *   }
+ */
+
+import { now } from './clock.js';
+
+export const TRACE_VERSION = 1;
+
+// StreamRenderer method -> trace op
+const RECORDED_METHODS = {
+    appendContent: 'append',
+    setContent: 'set',
+    flush: 'flush',
+    finalize: 'finalize',
+    abort: 'abort',
+    reset: 'reset'
+};
+
+function isPlainValue(value) {
+    if (value === null || ['boolean', 'number', 'string'].includes(typeof value)) return true;
+    if (typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return false;
+    return Object.values(value).every(isPlainValue);
+}
+
+/**
+ * Keep the options that survive JSON (drops callbacks, caches, signals, elements)
+ * @param {Object} options
+ * @returns {Object}
+ */
+function jsonOptions(options) {
+    const result = {};
+    for (const [key, value] of Object.entries(options || {})) {
+        if (isPlainValue(value)) result[key] = value;
+    }
+    return result;
+}
+
+export class StreamRecorder {
+    /**
+     * Start recording the calls made on a stream renderer
+     * @param {StreamRenderer} stream
+     */
+    constructor(stream) {
+        this.stream = stream;
+        this.steps = [];
+        this.start = now();
+        this.recordedAt = new Date().toISOString();
+        this.options = jsonOptions(stream.options);
+        this.wrapped = [];
+        this.depth = 0; // > 0 while a recorded method runs its synchronous part
+
+        for (const [method, op] of Object.entries(RECORDED_METHODS)) {
+            const original = stream[method];
+            const own = Object.prototype.hasOwnProperty.call(stream, method);
+            stream[method] = (...args) => {
+                // finalize() calling flush() is part of the finalize step
+                if (this.depth === 0) this._record(op, args);
+                this.depth++;
+                try {
+                    return original.apply(stream, args);
+                } finally {
+                    this.depth--;
+                }
+            };
+            this.wrapped.push({ method, original, own });
+        }
+    }
+
+    _record(op, args) {
+        const step = { t: Math.round((now() - this.start) * 10) / 10, op };
+        if (op === 'append') {
+            if (!args[0]) return;
+            step.chunk = String(args[0]);
+        } else if (op === 'set') {
+            step.content = args[0] || '';
+        } else if (op === 'abort' && typeof args[0] === 'string') {
+            step.reason = args[0];
+        }
+        this.steps.push(step);
+    }
+
+    /**
+     * Whether the recorder is still attached to the stream
+     * @returns {boolean}
+     */
+    get recording() {
+        return this.wrapped.length > 0;
+    }
+
+    /**
+     * Stop recording and restore the stream's methods
+     * @returns {Object} The trace
+     */
+    stop() {
+        for (const { method, original, own } of this.wrapped) {
+            if (own) this.stream[method] = original;
+            else delete this.stream[method];
+        }
+        this.wrapped = [];
+        return this.toJSON();
+    }
+
+    /**
+     * @returns {Object} The trace recorded so far
+     */
+    toJSON() {
+        return {
+            version: TRACE_VERSION,
+            recordedAt: this.recordedAt,
+            options: { ...this.options },
+            steps: this.steps.map(step => ({ ...step }))
+        };
+    }
+}
+
+/**
+ * Start recording a stream renderer
+ * @param {StreamRenderer} stream
+ * @returns {StreamRecorder}
+ */
+export function recordStream(stream) {
+    return new StreamRecorder(stream);
+}
+
+function applyStep(stream, step) {
+    switch (step.op) {
+        case 'append': return stream.appendContent(step.chunk);
+        case 'set': return stream.setContent(step.content);
+        case 'flush': return stream.flush();
+        case 'finalize': return stream.finalize();
+        case 'abort': return stream.abort(step.reason);
+        case 'reset': return stream.reset();
+        default: throw new Error('[stream-trace] Unknown step: ' + step.op);
+    }
+}
+
+/**
+ * Drive a stream renderer through a recorded trace
+ * @param {Object|string} trace - Trace object or its JSON
+ * @param {StreamRenderer} stream - Renderer to replay into (create it with
+ *   `trace.options` to reproduce the recorded configuration)
+ * @param {Object} options
+ * @param {number} [options.speed=0] - 0 replays instantly, awaiting every step;
+ *   1 keeps the recorded timing (appends are not awaited, so renders coalesce
+ *   the way they did live), 2 is twice as fast, and so on
+ * @param {false|((element: HTMLElement) => any)} [options.snapshot] - What to
+ *   capture after each step (default: the element's innerHTML); false for nothing
+ * @returns {Promise<{ snapshots: Array<{ index: number, op: string, t: number, content: string, html: any }>, content: string }>}
+ */
+export async function replayTrace(trace, stream, options = {}) {
+    const data = typeof trace === 'string' ? JSON.parse(trace) : trace;
+    if (!data || !Array.isArray(data.steps)) {
+        throw new Error('[stream-trace] Not a stream trace');
+    }
+    if (data.version > TRACE_VERSION) {
+        throw new Error('[stream-trace] Unsupported trace version: ' + data.version);
+    }
+
+    const speed = options.speed || 0;
+    const capture = options.snapshot === false ? null
+        : (typeof options.snapshot === 'function' ? options.snapshot : (element) => element.innerHTML);
+    const snapshots = [];
+    const pending = [];
+    let clock = 0;
+
+    for (let index = 0; index < data.steps.length; index++) {
+        const step = data.steps[index];
+        if (speed > 0) {
+            const wait = (step.t - clock) / speed;
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+            clock = step.t;
+        }
+
+        const done = Promise.resolve(applyStep(stream, step)).then(() => {
+            if (!capture) return;
+            snapshots.push({
+                index,
+                op: step.op,
+                t: step.t,
+                content: stream.getContent(),
+                html: capture(stream.targetElement)
+            });
+        });
+        if (speed > 0 && step.op === 'append') pending.push(done);
+        else await done;
+    }
+
+    await Promise.all(pending);
+    snapshots.sort((a, b) => a.index - b.index);
+    return { snapshots, content: stream.getContent() };
+}
+
+export default { StreamRecorder, recordStream, replayTrace, TRACE_VERSION };
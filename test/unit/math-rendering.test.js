@@ -689,6 +689,80 @@ runner.test('REGRESSION: Currency range does not break adjacent math', () => {
     );
 });
 
+// ============================================================================
+// TEST CATEGORY 14: Markdown-Aware Scanning
+// ============================================================================
+
+runner.test('Scanner: $ in fences of any length or ~~~ should NOT be math', () => {
+    const input = '````md\n```\n$x^2$\n```\n````\n\n~~~\n$a^2$\n~~~\n\nAfter $y^2$';
+    const expressions = TestHelpers.getMathExpressions(input);
+    runner.assertEqual(expressions.length, 1, 'Only the formula after the fences is math');
+    runner.assertEqual(expressions[0].innerContent, 'y^2');
+});
+
+runner.test('Scanner: Unclosed fence hides math to the end while streaming', () => {
+    runner.assertEqual(TestHelpers.countMathExpressions('Run:\n\n```bash\necho $x^2'), 0);
+});
+
+runner.test('Scanner: Indented code is code, indented continuation is not', () => {
+    runner.assertEqual(TestHelpers.countMathExpressions('Para\n\n    $code^2$\n\nText $x^2$'), 1, 'Indented block after a blank line is code');
+    runner.assertEqual(TestHelpers.countMathExpressions('Para\n    $x^2$'), 1, 'Indented line in a paragraph is text');
+    runner.assertEqual(TestHelpers.countMathExpressions('- item\n\n    $x^2$'), 1, 'Indented line in a list item is text');
+});
+
+runner.test('Scanner: Raw HTML tags and <code> content should NOT be math', () => {
+    const input = '<span title="$5 to $x^2$">$z^2$</span> and <code>$a^2$</code>';
+    const expressions = TestHelpers.getMathExpressions(input);
+    runner.assertEqual(expressions.length, 1, 'Only the element text is math');
+    runner.assertEqual(expressions[0].innerContent, 'z^2');
+});
+
+runner.test('Scanner: Autolinks and \\( in code spans should NOT be math', () => {
+    runner.assertEqual(TestHelpers.countMathExpressions('See <https://example.com/$a$>'), 0);
+    runner.assertEqual(TestHelpers.countMathExpressions('Write `\\(x\\)` or `$$x$$`'), 0);
+});
+
+runner.test('Scanner: Unmatched backtick does not hide later math', () => {
+    runner.assertEqual(TestHelpers.countMathExpressions("don`t forget $x^2$"), 1);
+    runner.assertEqual(TestHelpers.countMathExpressions('Comparisons $a<b$ and $c>d$'), 2, '< in math is not a tag');
+});
+
+runner.test('Scanner: A tag-like run inside $...$ is math, not HTML', () => {
+    const expressions = TestHelpers.getMathExpressions('If $a<b c>d$ then <b>stop</b>');
+    runner.assertEqual(expressions.length, 1, 'The formula is found');
+    runner.assertEqual(expressions[0].innerContent, 'a<b c>d');
+    runner.assertEqual(TestHelpers.countMathExpressions('Costs $5 <b>now</b> and $6'), 0, 'Tags between prices stay HTML');
+});
+
+runner.test('Scanner: Older extractAndReplace(content, delim, mathMap) still works', () => {
+    const MathProtectorClass = TestHelpers.getMathProtector();
+    const protector = new MathProtectorClass();
+    const display = { left: '$$', right: '$$', display: true };
+    const mathMap = new Map();
+    const result = protector.extractAndReplaceDelimiter('$$y$$ and `$a$` $x$', display, mathMap);
+    runner.assertEqual(mathMap.size, 1, 'Only the given delimiter is replaced');
+    runner.assertTrue(result.endsWith(' and `$a$` $x$'), 'The rest is left alone');
+    const oldCallMap = new Map();
+    protector.extractAndReplace('$$y$$ and $x$', display, oldCallMap);
+    runner.assertEqual(oldCallMap.size, 1, 'The old call shape goes to the delimiter form');
+    runner.assertTrue(protector.isInsideBackticks('`$a$` $x$', 1), 'Dollar in a code span is in code');
+    runner.assertFalse(protector.isInsideBackticks('`$a$` $x$', 6), 'Dollar after it is not');
+});
+
+runner.test('Scanner: Formula cannot run into code', () => {
+    const MathProtectorClass = TestHelpers.getMathProtector();
+    const result = new MathProtectorClass().protect('$x^2 + `a` b$');
+    runner.assertEqual(result.mathMap.size, 0, 'Neither a formula nor pending math');
+});
+
+runner.test('Scanner: Long documents are scanned in linear time', () => {
+    let input = '';
+    for (let i = 0; i < 5000; i++) input += 'Use `a` and $x_' + i + '$ then $5. ';
+    const start = Date.now();
+    runner.assertEqual(TestHelpers.countMathExpressions(input), 5000);
+    runner.assertTrue(Date.now() - start < 2000, 'Scanning should not be quadratic');
+});
+
 // ============================================================================
 // Main test execution function
 // ============================================================================
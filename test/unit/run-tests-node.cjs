@@ -3,12 +3,14 @@
  * Node.js Test Runner for Mertex.md Math Rendering Tests
  * 
  * This script provides a minimal environment to run tests without JSDOM.
- * It directly loads the MathProtector class and runs the test suite.
+ * It directly loads the MathProtector class and runs the test suite, then
+ * adds the jsdom-backed streaming tests when jsdom is installed.
  */
 
 const path = require('path');
 const fs = require('fs');
 const vm = require('vm');
+const { pathToFileURL } = require('url');
 
 // Set up global browser-like environment (minimal)
 global.window = global;
@@ -28,6 +30,7 @@ let suppressLogs = false;
 console.log = (...args) => {
     if (suppressLogs && args[0]?.toString().startsWith('[MathProtector]')) return;
     if (suppressLogs && args[0]?.toString().startsWith('[Mertex')) return;
+    if (suppressLogs && args[0]?.toString().startsWith('[IncrementalRenderer]')) return;
     originalLog.apply(console, args);
 };
 console.error = originalError;
@@ -82,6 +85,47 @@ try {
     process.exit(1);
 }
 
+// Load the clock (used by MathProtector)
+try {
+    const clockCode = fs.readFileSync(path.join(srcPath, 'utils', 'clock.js'), 'utf8');
+    
+    // Convert ES module to CommonJS-compatible format
+    const clockCJS = clockCode
+        .replace(/export\s+function\s+now/g, 'function now')
+        .replace(/export\s+default\s+.*?;/g, '')
+        .trim();
+    
+    const clockScript = new vm.Script(clockCJS + '\nglobal.now = now;');
+    clockScript.runInThisContext();
+    
+    console.log('✓ Clock loaded from source');
+} catch (e) {
+    console.error('Failed to load clock:', e.message);
+    console.error(e.stack);
+    process.exit(1);
+}
+
+// Load code region scanner (used by MathProtector)
+try {
+    const codeRegionsCode = fs.readFileSync(path.join(srcPath, 'utils', 'code-regions.js'), 'utf8');
+    
+    // Convert ES module to CommonJS-compatible format
+    const codeRegionsCJS = codeRegionsCode
+        .replace(/export\s+function\s+findCodeRegions/g, 'function findCodeRegions')
+        .replace(/export\s+function\s+isInCodeRegion/g, 'function isInCodeRegion')
+        .replace(/export\s+default\s+.*?;/g, '')
+        .trim();
+    
+    const codeRegionsScript = new vm.Script(codeRegionsCJS + '\nglobal.findCodeRegions = findCodeRegions;\nglobal.isInCodeRegion = isInCodeRegion;');
+    codeRegionsScript.runInThisContext();
+    
+    console.log('✓ Code regions loaded from source');
+} catch (e) {
+    console.error('Failed to load code regions:', e.message);
+    console.error(e.stack);
+    process.exit(1);
+}
+
 // Load MathProtector directly from source
 try {
     const mathProtectorCode = fs.readFileSync(path.join(srcPath, 'core', 'math-protector.js'), 'utf8');
@@ -91,6 +135,8 @@ try {
         .replace(/import\s*{\s*encodeBase64\s*,\s*decodeBase64\s*}\s*from\s*['"].*['"];?\n?/g, '')
         .replace(/import\s*{\s*looksLikeCurrency\s*,\s*isCurrencyRange\s*}\s*from\s*['"].*['"];?\n?/g, '')
         .replace(/import\s*{\s*selfCorrectRender\s*}\s*from\s*['"].*['"];?\n?/g, '')
+        .replace(/import\s*{\s*findCodeRegions\s*,\s*isInCodeRegion\s*}\s*from\s*['"].*['"];?\n?/g, '')
+        .replace(/import\s*{\s*now\s*}\s*from\s*['"].*['"];?\n?/g, '')
         .replace(/export\s+class\s+MathProtector/g, 'class MathProtector')
         .replace(/export\s+default\s+MathProtector;?/g, '');
     
@@ -139,13 +185,39 @@ const testCasesCode = fs.readFileSync(path.join(testPath, 'math-rendering.test.j
 const testCasesScript = new vm.Script(testCasesCode);
 testCasesScript.runInThisContext();
 
-console.log('');
+/**
+ * Load the DOM-backed streaming tests. These are ES modules that import the
+ * renderer from src/ and need jsdom, marked and DOMPurify; when any of them is
+ * missing the suite is skipped and the MathProtector tests still run.
+ */
+async function loadDomTests() {
+    let JSDOM, markedLib, createDOMPurify;
+    try {
+        ({ JSDOM } = require('jsdom'));
+        ({ marked: markedLib } = await import('marked'));
+        createDOMPurify = require('dompurify');
+    } catch (e) {
+        console.log('⚠ jsdom/marked/dompurify not installed, skipping streaming tests');
+        return;
+    }
+
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    global.document = dom.window.document;
+    global.Node = dom.window.Node;
+    global.NodeFilter = dom.window.NodeFilter;
+    global.marked = markedLib;
+    global.DOMPurify = createDOMPurify(dom.window);
 
-// Run tests with suppressed internal logs
-suppressLogs = true;
+    await import(pathToFileURL(path.join(testPath, 'streaming.test.js')).href);
+    console.log('✓ Streaming tests loaded (jsdom)');
+}
 
-// Run the tests
-runAllTests().then(results => {
+// Run tests with suppressed internal logs
+loadDomTests().then(() => {
+    console.log('');
+    suppressLogs = true;
+    return runAllTests();
+}).then(results => {
     suppressLogs = false;
     
     // Output final summary
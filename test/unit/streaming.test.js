@@ -0,0 +1,1922 @@
+/**
+ * Streaming Test Suite for Mertex.md
+ *
+ * DOM-backed tests for StreamRenderer and IncrementalContentRenderer.
+ * Loaded as an ES module by run-tests-node.cjs after jsdom, marked and
+ * DOMPurify have been installed as globals; tests register on the shared
+ * `runner` created by math-rendering.test.js.
+ */
+
+import { MertexMD } from '../../src/mertex.js';
+import { IncrementalContentRenderer } from '../../src/core/incremental-renderer.js';
+import { renderMarkdown } from '../../src/core/markdown-renderer.js';
+import { StreamingMathRenderer } from '../../src/handlers/streaming-math-renderer.js';
+import { selfCorrectRender } from '../../src/handlers/self-correct.js';
+import { renderToString, renderToStream } from '../../src/core/render-to-string.js';
+import { RenderWorkerClient, startRenderWorker } from '../../src/core/render-worker.js';
+import { sanitizeMarkup } from '../../src/utils/html-sanitizer.js';
+import { closeMarkdown } from '../../src/core/markdown-closer.js';
+import { RenderCache, createMemoryStorage, createLocalStorage } from '../../src/utils/render-cache.js';
+import { recordStream, replayTrace } from '../../src/utils/stream-trace.js';
+import { RenderScheduler } from '../../src/utils/render-scheduler.js';
+import { checkStreamEquivalence, diffDom } from '../../src/utils/stream-equivalence.js';
+import { readdirSync, readFileSync } from 'fs';
+import { Worker } from 'worker_threads';
+
+function createTarget() {
+    const element = document.createElement('div');
+    document.body.appendChild(element);
+    return element;
+}
+
+// ============================================================================
+// STREAMING CATEGORY 1: Block-Level Reconciliation
+// ============================================================================
+
+runner.test('Blocks: Unchanged leading blocks keep their DOM nodes', async () => {
+    const target = createTarget();
+    const icr = new IncrementalContentRenderer();
+
+    await icr.appendNewContent(target, '# Title\n\nFirst paragraph.\n\nSecond', renderMarkdown);
+    const heading = target.querySelector('h1');
+    const firstParagraph = target.querySelector('p');
+
+    await icr.appendNewContent(target, '# Title\n\nFirst paragraph.\n\nSecond paragraph grows', renderMarkdown);
+
+    runner.assertTrue(target.querySelector('h1') === heading, 'Heading node should be reused');
+    runner.assertTrue(target.querySelector('p') === firstParagraph, 'First paragraph node should be reused');
+    runner.assertContains(target.textContent, 'Second paragraph grows', 'Changed tail should be re-rendered');
+});
+
+runner.test('Blocks: Only the changed tail is patched', async () => {
+    const target = createTarget();
+    const icr = new IncrementalContentRenderer();
+
+    await icr.appendNewContent(target, 'One\n\nTwo\n\nThree', renderMarkdown);
+    const before = icr.getStats().blocksPatched;
+    await icr.appendNewContent(target, 'One\n\nTwo\n\nThree and more', renderMarkdown);
+
+    runner.assertEqual(icr.getStats().blocksPatched - before, 1, 'Exactly one block should be replaced');
+    runner.assertEqual(target.querySelectorAll('p').length, 3, 'Should still have three paragraphs');
+});
+
+runner.test('Blocks: Removed blocks are dropped from the DOM', async () => {
+    const target = createTarget();
+    const icr = new IncrementalContentRenderer();
+
+    await icr.appendNewContent(target, 'One\n\nTwo\n\nThree', renderMarkdown);
+    await icr.appendNewContent(target, 'One\n\nTwo', renderMarkdown);
+
+    runner.assertEqual(target.querySelectorAll('p').length, 2, 'Stale trailing block should be removed');
+    runner.assertNotContains(target.textContent, 'Three', 'Removed text should be gone');
+});
+
+runner.test('Blocks: External DOM changes trigger a full rebuild', async () => {
+    const target = createTarget();
+    const icr = new IncrementalContentRenderer();
+
+    await icr.appendNewContent(target, 'One\n\nTwo', renderMarkdown);
+    target.innerHTML = '<p>foreign</p>';
+    await icr.appendNewContent(target, 'One\n\nTwo!', renderMarkdown);
+
+    runner.assertNotContains(target.textContent, 'foreign', 'Foreign content should be replaced');
+    runner.assertEqual(target.querySelectorAll('p').length, 2, 'Both blocks should be rendered');
+});
+
+runner.test('Blocks: StreamRenderer output matches a one-shot render', async () => {
+    const target = createTarget();
+    const stream = new MertexMD().createStreamRenderer(target);
+    const markdown = '# Plan\n\n- one\n- two\n\n```js\nconst x = 1;\n```\n\nDone.';
+
+    for (let i = 0; i < markdown.length; i += 7) {
+        await stream.appendContent(markdown.slice(i, i + 7));
+    }
+    await stream.finalize();
+
+    const expected = createTarget();
+    await new MertexMD().renderInElement(expected, markdown);
+    runner.assertEqual(
+        target.innerHTML.replace(/\n/g, ''),
+        expected.innerHTML.replace(/\n/g, ''),
+        'Streamed DOM should match the one-shot render'
+    );
+});
+
+// ============================================================================
+// STREAMING CATEGORY 2: Frozen Prefix
+// ============================================================================
+
+runner.test('Frozen: Finished blocks are frozen once the next block starts', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    await stream.appendContent('First paragraph.\n\n');
+    runner.assertEqual(stream.getStats().frozenLength, 0, 'Nothing is frozen before the next block starts');
+
+    await stream.appendContent('Second');
+    runner.assertEqual(stream.getStats().frozenLength, 0, 'A line still being written confirms nothing');
+
+    await stream.appendContent(' paragraph.\n');
+    runner.assertEqual(
+        stream.getStats().frozenLength, 'First paragraph.\n\n'.length,
+        'First paragraph should be frozen'
+    );
+});
+
+runner.test('Frozen: A half-written list item does not split the list', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    await stream.appendContent('1. a\n\n2');
+    await stream.appendContent('. b\n');
+    await stream.finalize();
+    runner.assertEqual(stream.targetElement.querySelectorAll('ol').length, 1, 'Should render a single list');
+    runner.assertEqual(stream.targetElement.querySelectorAll('ol p').length, 2, 'The list should be loose');
+
+    const result = await checkStreamEquivalence(new MertexMD(), '1. a\n\n2. b\n\n3. c\n', { split: 'each' });
+    runner.assertTrue(result.equivalent, JSON.stringify(result.failures[0]?.diffs));
+});
+
+runner.test('Frozen: Blank lines inside an open fence do not freeze it', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    await stream.appendContent('```python\ndef f():\n\n    return 1\n');
+    runner.assertEqual(stream.getStats().frozenLength, 0, 'Open fence must stay in the tail');
+
+    await stream.appendContent('```\n\nAfter\n');
+    runner.assertContains(stream.targetElement.innerHTML, 'return 1', 'Code should be rendered');
+    runner.assertGreaterThan(stream.getStats().frozenLength, 0, 'Closed fence should be frozen');
+});
+
+runner.test('Frozen: A list followed by another item stays open', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    await stream.appendContent('- one\n- two\n\n- three');
+    runner.assertEqual(stream.getStats().frozenLength, 0, 'Loose list items belong to the same list');
+    runner.assertEqual(stream.targetElement.querySelectorAll('ul').length, 1, 'Should render a single list');
+});
+
+runner.test('Frozen: Blank lines inside a raw HTML block do not split it', async () => {
+    const markdown = '<div class="note">\n\nSome **note**.\n\n</div>\n\nAfter.\n';
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    await stream.appendContent('<div class="note">\n\nSome **note**.\n\n');
+    runner.assertEqual(stream.getStats().frozenLength, 0, 'Open <div> must stay in the tail');
+
+    const result = await checkStreamEquivalence(new MertexMD(), markdown, { samples: 5, seed: 5 });
+    runner.assertTrue(result.equivalent, JSON.stringify(result.failures[0]?.diffs));
+});
+
+runner.test('Frozen: A late reference definition re-renders frozen links', async () => {
+    const markdown = 'See [the docs][1] first.\n\nMore text here.\n\n[1]: https://example.com';
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    await stream.appendContent('See [the docs][1] first.\n\nMore text here.\n\n');
+    runner.assertGreaterThan(stream.getStats().frozenLength, 0, 'Blocks are frozen before the definition');
+
+    await stream.appendContent('[1]: https://example.com');
+    runner.assertEqual(stream.getStats().frozenLength, 0, 'The definition thaws them');
+    runner.assertTrue(stream.targetElement.querySelector('a[href="https://example.com"]') !== null, 'Link should resolve');
+
+    const result = await checkStreamEquivalence(new MertexMD(), markdown, { samples: 5, seed: 11 });
+    runner.assertTrue(result.equivalent, JSON.stringify(result.failures[0]?.diffs));
+});
+
+// ============================================================================
+// STREAMING CATEGORY 3: Single-Pass Pipeline
+// ============================================================================
+
+async function countParses(fn) {
+    const original = marked.parse;
+    let calls = 0;
+    marked.parse = function(...args) {
+        calls++;
+        return original.apply(this, args);
+    };
+    try {
+        await fn();
+    } finally {
+        marked.parse = original;
+    }
+    return calls;
+}
+
+runner.test('Pipeline: Each chunk runs the pipeline once and finalize reuses it', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    const chunks = ['Streaming ', 'a single ', 'paragraph'];
+
+    const calls = await countParses(async () => {
+        for (const chunk of chunks) await stream.appendContent(chunk);
+        await stream.finalize();
+    });
+
+    runner.assertEqual(calls, chunks.length, 'Should parse once per chunk and not again in finalize');
+});
+
+runner.test('Pipeline: Unchanged setContent does not re-render', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    await stream.appendContent('Same text');
+
+    const calls = await countParses(async () => {
+        runner.assertFalse(await stream.setContent('Same text'), 'Unchanged content should report no update');
+    });
+    runner.assertEqual(calls, 0, 'Should not run the pipeline for unchanged content');
+});
+
+runner.test('Pipeline: Math signatures skip code like MathProtector does', () => {
+    const renderer = new StreamingMathRenderer();
+    runner.assertEqual(renderer.extractFormulaSignatures("don`t forget $x^2$").length, 1, 'A lone backtick hides nothing');
+    runner.assertEqual(renderer.extractFormulaSignatures('`$a$` and <code>\\(b\\)</code>').length, 0, 'Code spans and <code> are skipped');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 4: Scheduling
+// ============================================================================
+
+runner.test('Scheduler: Chunks appended in the same frame share one render', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+
+    const calls = await countParses(async () => {
+        const results = await Promise.all([
+            stream.appendContent('one '),
+            stream.appendContent('two '),
+            stream.appendContent('three')
+        ]);
+        runner.assertTrue(results.every(r => r === true), 'All pending appends should resolve with the render result');
+    });
+
+    runner.assertEqual(calls, 1, 'Three chunks should be coalesced into a single render');
+    runner.assertContains(stream.targetElement.textContent, 'one two three', 'All chunks should be rendered');
+});
+
+runner.test('Scheduler: flush() renders buffered content immediately', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 1000 });
+    const pending = stream.appendContent('buffered');
+
+    runner.assertNotContains(stream.targetElement.textContent, 'buffered', 'Render should be deferred');
+    runner.assertTrue(await stream.flush(), 'flush() should report the update');
+    runner.assertContains(stream.targetElement.textContent, 'buffered', 'flush() should render now');
+    runner.assertTrue(await pending, 'The pending append should resolve with the flushed render');
+});
+
+runner.test('Scheduler: flush() during a render never overlaps renders', async () => {
+    let active = 0;
+    let maxActive = 0;
+    let renders = 0;
+    const scheduler = new RenderScheduler(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return ++renders;
+    }, { schedule: 5 });
+
+    const first = scheduler.schedule();
+    await new Promise(resolve => setTimeout(resolve, 10)); // first render is running
+    const second = scheduler.schedule();
+    const flushed = scheduler.flush();
+    await Promise.all([first, second, flushed]);
+    await new Promise(resolve => setTimeout(resolve, 40)); // a stray timer would fire here
+    await scheduler.idle();
+
+    runner.assertEqual(maxActive, 1, 'Renders should never run at the same time');
+    runner.assertEqual(renders, 2, 'The queued request should render once');
+    runner.assertEqual(await second, 2);
+});
+
+runner.test('Scheduler: reset() drops a pending render', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 1000 });
+    const pending = stream.appendContent('discarded');
+    stream.reset();
+
+    runner.assertFalse(await pending, 'Pending append should resolve false after reset');
+    runner.assertEqual(stream.targetElement.innerHTML, '', 'Nothing should be rendered');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 5: Cancellation
+// ============================================================================
+
+async function withGlobals(globals, fn) {
+    const previous = {};
+    for (const name of Object.keys(globals)) {
+        previous[name] = global[name];
+        global[name] = globals[name];
+    }
+    try {
+        await fn();
+    } finally {
+        for (const name of Object.keys(globals)) {
+            if (previous[name] === undefined) delete global[name];
+            else global[name] = previous[name];
+        }
+    }
+}
+
+runner.test('Abort: Pending render is dropped and the element is finalized', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 1000 });
+    const pending = stream.appendContent('Partial answer');
+    await stream.abort();
+
+    runner.assertFalse(await pending, 'Pending append should resolve false');
+    runner.assertTrue(stream.aborted, 'Stream should report aborted');
+    runner.assertContains(stream.targetElement.textContent, 'Partial answer', 'Received text should stay visible');
+    runner.assertTrue(stream.targetElement.querySelector('.streaming-cursor') === null, 'Cursor should be removed');
+    runner.assertFalse(await stream.appendContent(' more'), 'Appends after abort should be ignored');
+});
+
+runner.test('Abort: Unclosed math is shown as source', async () => {
+    const fakeKatex = { renderToString: (tex) => '<span class="katex">' + tex + '</span>' };
+    await withGlobals({ katex: fakeKatex }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+        await stream.appendContent('Half is $\\frac{1}{2');
+        runner.assertTrue(stream.targetElement.querySelector('.katex') !== null, 'Pending math previews while streaming');
+
+        await stream.abort();
+        runner.assertTrue(stream.targetElement.querySelector('.katex') === null, 'Pending math should not stay rendered');
+        runner.assertContains(stream.targetElement.textContent, '$\\frac{1}{2', 'Source should be shown');
+    });
+});
+
+runner.test('Abort: External signal cancels mermaid self-correction', async () => {
+    const fakeMermaid = { render: () => Promise.reject(new Error('Parse error')) };
+    await withGlobals({ mermaid: fakeMermaid }, async () => {
+        const controller = new AbortController();
+        let fixSignal = null;
+        const mertex = new MertexMD({
+            selfCorrect: {
+                fix: (code, format, error, { signal }) => {
+                    fixSignal = signal;
+                    return new Promise(() => {}); // never settles
+                }
+            }
+        });
+        const stream = mertex.createStreamRenderer(createTarget(), { signal: controller.signal, schedule: 'sync' });
+        await stream.appendContent('```mermaid\ngraph TD\n  A-->\n```\n');
+
+        const finalizing = stream.finalize();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        runner.assertTrue(fixSignal === stream.signal, 'fix should receive the stream signal');
+
+        controller.abort();
+        await finalizing;
+        await stream.abort();
+
+        runner.assertTrue(fixSignal.aborted, 'Signal passed to fix should fire');
+        runner.assertTrue(stream.targetElement.querySelector('.mermaid-placeholder') === null, 'No placeholder should remain');
+        runner.assertContains(
+            stream.targetElement.querySelector('code.language-mermaid').textContent, 'A-->',
+            'Diagram source should be shown'
+        );
+    });
+});
+
+runner.test('Abort: reset() re-arms an aborted stream', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.abort();
+    stream.reset();
+
+    runner.assertFalse(stream.aborted, 'reset() should clear the aborted state');
+    runner.assertTrue(await stream.appendContent('Fresh'), 'Appends should render again');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 6: Consuming Sources
+// ============================================================================
+
+function byteStream(parts) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            for (const part of parts) {
+                controller.enqueue(typeof part === 'string' ? encoder.encode(part) : part);
+            }
+            controller.close();
+        }
+    });
+}
+
+runner.test('Consume: Async iterable of strings is rendered and finalized', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    async function* chunks() {
+        yield '# Title\n\n';
+        yield 'Body text';
+    }
+
+    const content = await stream.consume(chunks());
+
+    runner.assertEqual(content, '# Title\n\nBody text', 'Should return the accumulated content');
+    runner.assertTrue(stream.targetElement.querySelector('h1') !== null, 'Heading should be rendered');
+    runner.assertTrue(stream.targetElement.querySelector('.streaming-cursor') === null, 'Should be finalized');
+});
+
+runner.test('Consume: UTF-8 split across chunk boundaries is decoded', async () => {
+    const bytes = new TextEncoder().encode('Café ☕ done');
+    const split = bytes.indexOf(0xe2) + 1; // inside the 3-byte ☕
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+
+    await stream.consume(byteStream([bytes.slice(0, split), bytes.slice(split)]));
+
+    runner.assertEqual(stream.getContent(), 'Café ☕ done', 'Multi-byte characters should survive the split');
+});
+
+runner.test('Consume: SSE deltas from OpenAI and Anthropic payloads', async () => {
+    const openai = byteStream([
+        'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        ': keep-alive\n\ndata: {"choices":[{"delta":{"con',
+        'tent":" world"}}]}\n\ndata: [DONE]\n\n'
+    ]);
+    const first = new MertexMD().createStreamRenderer(createTarget());
+    await first.consume(openai, { format: 'sse' });
+    runner.assertEqual(first.getContent(), 'Hello world', 'OpenAI deltas should be joined');
+
+    const anthropic = byteStream([
+        'event: message_start\ndata: {"type":"message_start"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n'
+    ]);
+    const second = new MertexMD().createStreamRenderer(createTarget());
+    await second.consume(anthropic, { format: 'sse' });
+    runner.assertEqual(second.getContent(), 'Hi', 'Anthropic text deltas should be extracted');
+});
+
+runner.test('Consume: NDJSON with a custom extractor', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget());
+    const body = byteStream(['{"t":"a"}\n{"t":', '"b"}\n\n{"t":"c"}']);
+
+    await stream.consume(body, { format: 'ndjson', extract: (line) => JSON.parse(line).t });
+
+    runner.assertEqual(stream.getContent(), 'abc', 'Each line should go through the extractor');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 7: Auto-Closing
+// ============================================================================
+
+runner.test('AutoClose: Half-typed bold renders as bold', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('This is **important');
+
+    const strong = stream.targetElement.querySelector('strong');
+    runner.assertTrue(strong !== null, 'Open emphasis should be closed for rendering');
+    runner.assertEqual(strong.textContent, 'important', 'Bold text should be wrapped');
+    runner.assertEqual(stream.getContent(), 'This is **important', 'Accumulated content must not change');
+});
+
+runner.test('AutoClose: Open fence renders as code without a visible closer', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('```js\nconst a = 1;');
+    const code = stream.targetElement.querySelector('pre code');
+    runner.assertTrue(code !== null, 'Open fence should render as a code block');
+    runner.assertNotContains(code.textContent, '```', 'Closer should not appear in the code');
+});
+
+runner.test('AutoClose: Dangling link and image openers are hidden', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('See [the docs](https://exa');
+    const link = stream.targetElement.querySelector('a');
+    runner.assertTrue(link !== null, 'Link with a partial URL should render as a link');
+    runner.assertEqual(link.textContent, 'the docs', 'Link text should be shown');
+
+    await stream.appendContent(') and ![chart](https://img');
+    runner.assertTrue(stream.targetElement.querySelector('img') === null, 'Partial image should not load');
+    runner.assertNotContains(stream.targetElement.textContent, '![', 'Image syntax should not leak');
+});
+
+runner.test('AutoClose: Half-typed table delimiter renders the table', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('| Name | Value |\n| --');
+    runner.assertTrue(stream.targetElement.querySelector('table') !== null, 'Table should render early');
+});
+
+runner.test('AutoClose: finalize() renders the real text', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Ends with **open');
+    await stream.finalize();
+
+    runner.assertTrue(stream.targetElement.querySelector('strong') === null, 'Unclosed bold stays literal once finished');
+    runner.assertContains(stream.targetElement.textContent, '**open', 'Raw asterisks should be shown');
+});
+
+runner.test('AutoClose: A typed hr and a lone asterisk stay visible', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Above.\n\n***');
+    runner.assertTrue(stream.targetElement.querySelector('hr') !== null, 'The rule should render while streaming');
+
+    await stream.appendContent('\n\nHe said *');
+    runner.assertContains(stream.targetElement.textContent, 'He said *', 'The asterisk should not be hidden');
+});
+
+runner.test('AutoClose: closeMarkdown leaves non-emphasis alone', async () => {
+    const cases = [
+        ['snake_case_name', 'snake_case_name'],
+        ['2 * 3 = 6', '2 * 3 = 6'],
+        ['- list item', '- list item'],
+        ['cost $5 and **b', 'cost $5 and **b**'],
+        ['math $a_1$ and _em', 'math $a_1$ and _em_'],
+        ['trailing **', 'trailing '],
+        ['***', '***'],
+        ['He said *', 'He said *'],
+        ['use `code', 'use `code`']
+    ];
+    for (const [input, expected] of cases) {
+        runner.assertEqual(closeMarkdown(input).text, expected, 'closeMarkdown(' + JSON.stringify(input) + ')');
+    }
+
+    const mermaid = closeMarkdown('```mermaid\ngraph TD');
+    runner.assertFalse(mermaid.closed, 'Mermaid fences are not closed');
+    runner.assertEqual(mermaid.openFence.lang, 'mermaid', 'Open fence should be reported');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 8: Events
+// ============================================================================
+
+function recordEvents(stream, names) {
+    const events = [];
+    for (const name of names) {
+        stream.on(name, payload => events.push({ name, payload }));
+    }
+    return events;
+}
+
+runner.test('Events: blockcomplete fires for frozen blocks and the final tail', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    const events = recordEvents(stream, ['blockcomplete', 'finalize']);
+
+    await stream.appendContent('First.\n\n');
+    await stream.appendContent('Second.\n');
+    await stream.finalize();
+
+    const blocks = events.filter(e => e.name === 'blockcomplete').map(e => e.payload);
+    runner.assertEqual(blocks.length, 2, 'Each block should complete once');
+    runner.assertEqual(blocks[0].source, 'First.\n\n', 'First block source');
+    runner.assertEqual(blocks[1].offset, 'First.\n\n'.length, 'Tail offset');
+    runner.assertEqual(events[events.length - 1].name, 'finalize', 'finalize should fire last');
+});
+
+runner.test('Events: math fires once per formula across chunks', async () => {
+    const fakeKatex = { renderToString: (tex) => '<span class="katex">' + tex + '</span>' };
+    await withGlobals({ katex: fakeKatex }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+        const events = recordEvents(stream, ['math']);
+
+        await stream.appendContent('Energy $E = mc^2$ and ');
+        await stream.appendContent('more ');
+        await stream.appendContent('text');
+
+        runner.assertEqual(events.length, 1, 'Formula re-rendered in the tail should be reported once');
+        runner.assertEqual(events[0].payload.source, 'E = mc^2', 'Payload should carry the source');
+        runner.assertTrue(typeof events[0].payload.duration === 'number', 'Payload should carry a duration');
+    });
+});
+
+runner.test('Events: mermaid, selfcorrect and error payloads', async () => {
+    let calls = 0;
+    const fakeMermaid = {
+        render: (id, code) => {
+            calls++;
+            return code.includes('fixed') ? Promise.resolve({ svg: '<svg></svg>' }) : Promise.reject(new Error('Parse error'));
+        }
+    };
+    await withGlobals({ mermaid: fakeMermaid }, async () => {
+        const mertex = new MertexMD({ selfCorrect: { fix: async (code) => code + '\n%% fixed' } });
+        const stream = mertex.createStreamRenderer(createTarget(), { schedule: 'sync' });
+        const events = recordEvents(stream, ['mermaid', 'selfcorrect', 'error']);
+
+        await stream.appendContent('```mermaid\ngraph TD\n  A-->\n```\n');
+        await stream.finalize();
+
+        const names = events.map(e => e.name);
+        runner.assertEqual(names.join(','), 'selfcorrect,mermaid', 'Fix attempt then rendered diagram');
+        runner.assertTrue(events[0].payload.success, 'selfcorrect payload should report success');
+        runner.assertEqual(events[0].payload.format, 'mermaid', 'selfcorrect payload format');
+        runner.assertTrue(events[1].payload.corrected, 'mermaid payload should flag the corrected render');
+        runner.assertTrue(calls > 0, 'mermaid.render should be called');
+    });
+
+    const failing = { render: () => Promise.reject(new Error('Parse error')) };
+    await withGlobals({ mermaid: failing }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+        const errors = recordEvents(stream, ['error']);
+
+        await stream.appendContent('```mermaid\ngraph TD\n  A-->\n```\n');
+        await stream.finalize();
+
+        runner.assertEqual(errors.length, 1, 'Failure should be reported once');
+        runner.assertEqual(errors[0].payload.error.message, 'Parse error', 'Error payload should carry the error');
+        runner.assertContains(errors[0].payload.source, 'A-->', 'Error payload should carry the source');
+    });
+});
+
+runner.test('Events: A throwing fix callback is logged only when no listener handles it', async () => {
+    const fix = async () => { throw new Error('LLM unavailable'); };
+    const logged = [];
+    const error = console.error;
+    console.error = (...args) => logged.push(args[0]);
+    try {
+        const events = [];
+        await selfCorrectRender('A-->', 'mermaid', 'Parse error', async () => '', { fix, emit: (name, payload) => events.push(payload) > 0 });
+        runner.assertEqual(events[0].fixError.message, 'LLM unavailable', 'The event carries the fix error');
+        runner.assertEqual(logged.length, 0, 'Handled by a listener: nothing logged');
+
+        await selfCorrectRender('A-->', 'mermaid', 'Parse error', async () => '', { fix, emit: () => false });
+        runner.assertEqual(logged.length, 1, 'No listener: logged');
+    } finally {
+        console.error = error;
+    }
+});
+
+runner.test('Events: on() returns an unsubscribe function', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    let count = 0;
+    const off = stream.on('finalize', () => count++);
+
+    await stream.appendContent('Once');
+    await stream.finalize();
+    off();
+    stream.reset();
+    await stream.appendContent('Twice');
+    await stream.finalize();
+
+    runner.assertEqual(count, 1, 'Listener should not fire after unsubscribing');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 9: Cursor
+// ============================================================================
+
+runner.test('Cursor: Placed inside the last paragraph', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('First\n\nSecond paragraph');
+
+    const cursor = stream.targetElement.querySelector('.streaming-cursor');
+    runner.assertTrue(cursor !== null, 'Default cursor should be rendered');
+    runner.assertEqual(cursor.parentNode.tagName, 'P', 'Cursor should sit inside the paragraph');
+    runner.assertTrue(cursor.parentNode.lastChild === cursor, 'Cursor should follow the last text');
+});
+
+runner.test('Cursor: Stays on the last code line and leaves no trace', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('```\nline one\nline two\n```\n');
+
+    const cursor = stream.targetElement.querySelector('.streaming-cursor');
+    runner.assertTrue(cursor.closest('code') !== null, 'Cursor should be inside the code block');
+    runner.assertTrue(/line two$/.test(cursor.previousSibling.textContent), 'Cursor should follow the last line');
+
+    await stream.finalize();
+    const code = stream.targetElement.querySelector('code');
+    runner.assertEqual(code.childNodes.length, 1, 'Split text node should be re-joined');
+});
+
+runner.test('Cursor: Can be disabled or replaced', async () => {
+    const none = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync', cursor: false });
+    await none.appendContent('No cursor');
+    runner.assertEqual(none.targetElement.querySelectorAll('span').length, 0, 'cursor: false should render nothing');
+
+    const custom = new MertexMD().createStreamRenderer(createTarget(), {
+        schedule: 'sync',
+        cursor: () => {
+            const el = document.createElement('i');
+            el.className = 'my-caret';
+            return el;
+        }
+    });
+    await custom.appendContent('- item');
+    const caret = custom.targetElement.querySelector('.my-caret');
+    runner.assertTrue(caret !== null && caret.parentNode.tagName === 'LI', 'Custom cursor should sit inside the list item');
+
+    await custom.finalize();
+    runner.assertTrue(custom.targetElement.querySelector('.my-caret') === null, 'finalize() should remove a custom cursor');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 10: Mermaid Skeletons
+// ============================================================================
+
+runner.test('Skeleton: Open mermaid fence shows a sized skeleton', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Diagram:\n\n```mermaid\nflowchart TD\n  A-->B');
+
+    const skeleton = stream.targetElement.querySelector('.mermaid-skeleton');
+    runner.assertTrue(skeleton !== null, 'Skeleton should replace the raw code block');
+    runner.assertEqual(skeleton.getAttribute('data-diagram-type'), 'flowchart', 'Diagram type should be detected');
+    runner.assertContains(skeleton.textContent, '2 lines', 'Line count should be shown');
+    runner.assertTrue(skeleton.style.minHeight !== '', 'Skeleton should be sized');
+    runner.assertContains(skeleton.querySelector('details code').textContent, 'A-->B', 'Source preview should be present');
+    runner.assertTrue(stream.targetElement.querySelector(':scope > pre') === null, 'No raw code block');
+});
+
+runner.test('Skeleton: Same node is updated as lines stream in', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('```mermaid\nsequenceDiagram\n');
+    const first = stream.targetElement.querySelector('.mermaid-skeleton');
+
+    await stream.appendContent('  A->>B: hi\n  B->>A: ok');
+    const second = stream.targetElement.querySelector('.mermaid-skeleton');
+
+    runner.assertTrue(first === second, 'Skeleton node should be kept between chunks');
+    runner.assertContains(second.textContent, '3 lines', 'Line count should update in place');
+});
+
+runner.test('Skeleton: Swapped for the SVG once the fence closes', async () => {
+    const fakeMermaid = { render: () => Promise.resolve({ svg: '<svg class="diagram"></svg>' }) };
+    await withGlobals({ mermaid: fakeMermaid }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+        await stream.appendContent('```mermaid\ngraph TD\n  A-->B\n');
+        runner.assertTrue(stream.targetElement.querySelector('.mermaid-skeleton') !== null, 'Skeleton while open');
+
+        await stream.appendContent('```\n');
+        runner.assertTrue(stream.targetElement.querySelector('.mermaid-skeleton') === null, 'Skeleton should be gone');
+        runner.assertTrue(stream.targetElement.querySelector('svg.diagram') !== null, 'SVG should be rendered');
+    });
+});
+
+runner.test('Skeleton: Can be disabled and is cleared on finalize', async () => {
+    const off = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync', mermaidSkeleton: false });
+    await off.appendContent('```mermaid\ngraph TD\n  A-->B');
+    runner.assertTrue(off.targetElement.querySelector('.mermaid-skeleton') === null, 'mermaidSkeleton: false');
+    runner.assertTrue(off.targetElement.querySelector('code.language-mermaid') !== null, 'Raw code block instead');
+
+    // No mermaid library: the closed diagram never renders
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('```mermaid\ngraph TD\n  A-->B\n```\n');
+    runner.assertTrue(stream.targetElement.querySelector('.mermaid-skeleton') !== null, 'Skeleton while waiting');
+    await stream.finalize();
+    runner.assertTrue(stream.targetElement.querySelector('.mermaid-skeleton') === null, 'Cleared after finalize');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 11: Partial Mermaid Preview
+// ============================================================================
+
+function fakeMermaidLib() {
+    const lib = {
+        renders: [],
+        parse: async (code) => {
+            if (code.includes('-->|')) throw new Error('Parse error');
+            return true;
+        },
+        render: async (id, code) => {
+            lib.renders.push(code);
+            return { svg: '<svg data-lines="' + code.split('\n').length + '"></svg>' };
+        }
+    };
+    return lib;
+}
+
+runner.test('Preview: Partial diagram renders up to the last complete line', async () => {
+    const lib = fakeMermaidLib();
+    await withGlobals({ mermaid: lib }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), {
+            schedule: 'sync',
+            mermaidPreview: { interval: 0 }
+        });
+        await stream.appendContent('```mermaid\ngraph TD\n  A-->B\n  B-->C');
+
+        const svg = stream.targetElement.querySelector('.mermaid-partial-preview svg');
+        runner.assertTrue(svg !== null && svg.closest('.mermaid-skeleton') !== null, 'Partial SVG should be shown in the skeleton');
+        runner.assertEqual(lib.renders[0], 'graph TD\n  A-->B', 'Incomplete last line should be left out');
+    });
+});
+
+runner.test('Preview: Failed parse keeps the last successful SVG', async () => {
+    const lib = fakeMermaidLib();
+    await withGlobals({ mermaid: lib }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), {
+            schedule: 'sync',
+            mermaidPreview: { interval: 0 }
+        });
+        await stream.appendContent('```mermaid\ngraph TD\n  A-->B\n');
+        await stream.appendContent('  B-->|half\n');
+
+        const svg = stream.targetElement.querySelector('.mermaid-partial-preview svg');
+        runner.assertEqual(svg.getAttribute('data-lines'), '2', 'Previous preview should stay on screen');
+        runner.assertEqual(lib.renders.length, 1, 'Unparseable source should not be rendered');
+    });
+});
+
+runner.test('Preview: Final render reuses a partial render of the same source', async () => {
+    const lib = fakeMermaidLib();
+    await withGlobals({ mermaid: lib }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), {
+            schedule: 'sync',
+            mermaidPreview: { interval: 0 }
+        });
+        await stream.appendContent('```mermaid\ngraph TD\n  A-->B\n');
+        await stream.appendContent('```\n');
+
+        runner.assertEqual(lib.renders.length, 1, 'Closed diagram should come from the partial cache');
+        runner.assertTrue(stream.targetElement.querySelector('.mermaid-skeleton') === null, 'Skeleton should be replaced');
+        runner.assertTrue(stream.targetElement.querySelector('[data-mermaid-id] svg') !== null, 'Final SVG should be shown');
+    });
+});
+
+runner.test('Preview: Off by default and throttled', async () => {
+    const lib = fakeMermaidLib();
+    await withGlobals({ mermaid: lib }, async () => {
+        const plain = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+        await plain.appendContent('```mermaid\ngraph TD\n  A-->B\n');
+        runner.assertEqual(lib.renders.length, 0, 'No partial renders unless enabled');
+
+        const throttled = new MertexMD().createStreamRenderer(createTarget(), {
+            schedule: 'sync',
+            mermaidPreview: { interval: 60000 }
+        });
+        await throttled.appendContent('```mermaid\ngraph TD\n  A-->B\n');
+        await throttled.appendContent('  B-->C\n');
+        runner.assertEqual(lib.renders.length, 1, 'Second attempt inside the interval should be skipped');
+    });
+});
+
+// ============================================================================
+// STREAMING CATEGORY 12: Sessions
+// ============================================================================
+
+runner.test('Session: Streams share the mermaid cache', async () => {
+    const lib = fakeMermaidLib();
+    await withGlobals({ mermaid: lib }, async () => {
+        const session = new MertexMD().createSession({ schedule: 'sync' });
+        const diagram = '```mermaid\ngraph TD\n  A-->B\n```\n';
+
+        await session.createStream(createTarget()).appendContent(diagram);
+        const second = session.createStream(createTarget());
+        await second.appendContent(diagram);
+
+        runner.assertEqual(lib.renders.length, 1, 'Second stream should reuse the cached SVG');
+        runner.assertTrue(second.targetElement.querySelector('[data-mermaid-id] svg') !== null, 'Diagram should be shown');
+    });
+});
+
+runner.test('Session: Streams share rendered formulas', async () => {
+    let calls = 0;
+    const fakeKatex = { renderToString: (tex) => { calls++; return '<span class="katex">' + tex + '</span>'; } };
+    await withGlobals({ katex: fakeKatex }, async () => {
+        const session = new MertexMD().createSession({ schedule: 'sync' });
+        await session.createStream(createTarget()).appendContent('Energy $E = mc^2$ here');
+        const second = session.createStream(createTarget());
+        await second.appendContent('Again $E = mc^2$ there');
+
+        runner.assertEqual(calls, 1, 'Formula should be rendered once for the session');
+        runner.assertTrue(second.targetElement.querySelector('.katex') !== null, 'Cached formula should be shown');
+    });
+});
+
+runner.test('Session: Mermaid renders are limited across streams', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const lib = {
+        render: async (id, code) => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+            return { svg: '<svg></svg>' };
+        }
+    };
+    await withGlobals({ mermaid: lib }, async () => {
+        const session = new MertexMD().createSession({ schedule: 'sync', mermaidConcurrency: 1 });
+        await Promise.all([1, 2, 3].map(n =>
+            session.createStream(createTarget()).appendContent('```mermaid\ngraph TD\n  A-->N' + n + '\n```\n')
+        ));
+
+        runner.assertEqual(maxActive, 1, 'Only one mermaid render should run at a time');
+        runner.assertEqual(session.getStats().mermaid.started, 3, 'Every diagram should still render');
+    });
+});
+
+runner.test('Session: prune() disposes streams of removed messages', async () => {
+    const session = new MertexMD().createSession({ schedule: 'sync' });
+    const kept = session.createStream(createTarget());
+    const removed = session.createStream(createTarget());
+    await removed.appendContent('Soon gone');
+    removed.targetElement.remove();
+
+    runner.assertEqual(session.prune(), 1, 'One stream should be pruned');
+    runner.assertTrue(removed.disposed && !kept.disposed, 'Only the detached stream is disposed');
+    runner.assertEqual(session.size, 1, 'Session should hold the remaining stream');
+    runner.assertFalse(await removed.appendContent(' more'), 'Disposed stream should ignore appends');
+});
+
+runner.test('Session: Limiter drops queued renders of a disposed stream', async () => {
+    let release;
+    const lib = {
+        renders: 0,
+        render: async () => {
+            lib.renders++;
+            await new Promise(resolve => { release = resolve; });
+            return { svg: '<svg></svg>' };
+        }
+    };
+    await withGlobals({ mermaid: lib }, async () => {
+        const session = new MertexMD().createSession({ schedule: 'sync' });
+        const first = session.createStream(createTarget()).appendContent('```mermaid\ngraph TD\n  A-->B\n```\n');
+        const second = session.createStream(createTarget());
+        const queued = second.appendContent('```mermaid\ngraph TD\n  C-->D\n```\n');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        runner.assertEqual(session.getStats().mermaid.pending, 1, 'Second render should wait for the first');
+
+        session.dispose(second);
+        await queued;
+        release();
+        await first;
+
+        runner.assertEqual(lib.renders, 1, 'Queued render of the disposed stream should never start');
+        runner.assertEqual(session.getStats().mermaid.cancelled, 1, 'Cancellation should be counted');
+    });
+});
+
+// ============================================================================
+// STREAMING CATEGORY 13: Render Cache
+// ============================================================================
+
+function fakeWebStorage() {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key: (i) => Array.from(items.keys())[i] ?? null,
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        items
+    };
+}
+
+runner.test('Cache: Least recently used entries are evicted', () => {
+    const cache = new RenderCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    runner.assertTrue(cache.has('a') && cache.has('c'), 'Recently used entries should stay');
+    runner.assertFalse(cache.has('b'), 'Least recently used entry should be evicted');
+    cache.get('b');
+    const stats = cache.getStats();
+    runner.assertEqual(stats.hits + '/' + stats.misses + '/' + stats.evictions, '1/1/1', 'Hits, misses and evictions should be counted');
+});
+
+runner.test('Cache: A formula is rendered once while its message streams', async () => {
+    let calls = 0;
+    const fakeKatex = { renderToString: (tex) => { calls++; return '<span class="katex">' + tex + '</span>'; } };
+    await withGlobals({ katex: fakeKatex }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+        await stream.appendContent('Euler: $e^{i\\pi} + 1 = 0$ and');
+        await stream.appendContent(' more text');
+        await stream.appendContent(' still the same paragraph');
+        await stream.finalize();
+
+        runner.assertEqual(calls, 1, 'Re-rendered tail should reuse the cached formula');
+        runner.assertGreaterThan(stream.getStats().cache.math.hits, 0, 'Cache hits should show up in getStats()');
+    });
+});
+
+runner.test('Cache: Formula signatures seen while streaming are bounded', async () => {
+    // Stand-in auto-render that adds one .katex element per call
+    const renderMathInElement = (element) => element.appendChild(document.createElement('span')).classList.add('katex');
+    await withGlobals({ renderMathInElement }, () => {
+        const renderer = new StreamingMathRenderer({ maxFormulas: 2 });
+        const target = createTarget();
+        ['$a^2$', '$b^2$', '$c^2$'].forEach(formula => renderer.processChunk(formula + ' ', target));
+        runner.assertTrue(renderer.processChunk('$a^2$', target), 'The oldest formula was forgotten and renders again');
+
+        const stats = renderer.getStats();
+        runner.assertEqual(stats.formulasSeen, 2, 'Only maxFormulas signatures are kept');
+        runner.assertEqual(stats.formulasEvicted, 2);
+    });
+
+    const previousKatex = window.katex;
+    window.katex = { render: (formula, element) => { element.textContent = formula; } };
+    try {
+        const incremental = new IncrementalContentRenderer({ maxFormulas: 1 });
+        const container = createTarget();
+        container.innerHTML = '<code class="language-math">x</code> <code class="language-math">y</code>';
+        incremental.applySelectiveKaTeX(container);
+        const stats = incremental.getStats();
+        runner.assertEqual(stats.formulasProcessed + '/' + stats.formulasEvicted, '1/1', 'The incremental renderer is bounded too');
+    } finally {
+        window.katex = previousKatex;
+    }
+});
+
+runner.test('Cache: Persisted diagrams render without mermaid on the next load', async () => {
+    const storage = createMemoryStorage();
+    const lib = fakeMermaidLib();
+    const diagram = '```mermaid\ngraph TD\n  A-->B\n```\n';
+    await withGlobals({ mermaid: lib }, async () => {
+        const first = new MertexMD({ cache: { storage } }).createStreamRenderer(createTarget(), { schedule: 'sync' });
+        await first.appendContent(diagram);
+
+        // A new instance stands in for the next page load
+        const next = new MertexMD({ cache: { storage } }).createStreamRenderer(createTarget(), { schedule: 'sync' });
+        await next.appendContent(diagram);
+
+        runner.assertEqual(lib.renders.length, 1, 'Second load should come from storage');
+        runner.assertTrue(next.targetElement.querySelector('[data-mermaid-id] svg') !== null, 'Stored SVG should be shown');
+    });
+});
+
+runner.test('Cache: localStorage adapter keeps namespaces apart and skips partial previews', () => {
+    const webStorage = fakeWebStorage();
+    const storage = createLocalStorage({ storage: webStorage });
+    const math = new RenderCache({ storage, namespace: 'math' });
+    const mermaid = new RenderCache({ storage, namespace: 'mermaid' });
+
+    math.set('$x', '<span>x</span>');
+    mermaid.set('MERMAID_1', { svg: '<svg></svg>', partial: false });
+    mermaid.set('MERMAID_2', { svg: '<svg></svg>', partial: true }, { persist: false });
+    runner.assertEqual(webStorage.items.size, 2, 'Partial previews should not be persisted');
+
+    mermaid.clear();
+    const reloaded = new RenderCache({ storage, namespace: 'math' });
+    runner.assertEqual(reloaded.get('$x'), '<span>x</span>', 'Math entries should survive clearing another namespace');
+    runner.assertEqual(webStorage.items.size, 1, 'Only the cleared namespace should be removed');
+});
+
+runner.test('Cache: Failing async storage never breaks rendering', async () => {
+    const storage = {
+        load: async () => [['math:$y', '<span>y</span>']],
+        set: async () => { throw new Error('QuotaExceededError'); },
+        delete: async () => {},
+        clear: async () => {}
+    };
+    const cache = new RenderCache({ storage, namespace: 'math' });
+    cache.set('$z', '<span>z</span>');
+    await cache.ready;
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    runner.assertEqual(cache.get('$y'), '<span>y</span>', 'Entries should be loaded once storage resolves');
+    runner.assertEqual(cache.get('$z'), '<span>z</span>', 'Entries set before loading finished should stay');
+    runner.assertEqual(cache.getStats().storageErrors, 1, 'Write failure should be counted, not thrown');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 14: Record and Replay
+// ============================================================================
+
+runner.test('Trace: Recorder captures chunks, timing and JSON-safe options', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync', onDone: () => {} });
+    const recorder = recordStream(stream);
+    await stream.appendContent('Hello ');
+    await stream.appendContent('**world**');
+    await stream.finalize();
+    const trace = JSON.parse(JSON.stringify(recorder.stop()));
+
+    runner.assertEqual(trace.steps.map(step => step.op).join(','), 'append,append,finalize', 'Every call should be recorded');
+    runner.assertEqual(trace.steps[1].chunk, '**world**', 'Chunks should be kept verbatim');
+    runner.assertTrue(trace.steps[2].t >= trace.steps[1].t, 'Timestamps should not go backwards');
+    runner.assertEqual(trace.options.schedule, 'sync', 'Plain options should be recorded');
+    runner.assertFalse('onDone' in trace.options || 'mathCache' in trace.options, 'Callbacks and caches should be left out');
+    runner.assertFalse(Object.prototype.hasOwnProperty.call(stream, 'appendContent'), 'stop() should restore the stream');
+});
+
+runner.test('Trace: Instant replay snapshots the DOM after each step', async () => {
+    const source = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    const recorder = recordStream(source);
+    await source.consume(['Line one\n\n', 'Line **two', '** done']);
+    const trace = recorder.stop();
+
+    const replayed = new MertexMD().createStreamRenderer(createTarget(), trace.options);
+    const { snapshots, content } = await replayTrace(JSON.stringify(trace), replayed);
+
+    runner.assertEqual(content, source.getContent(), 'Replay should rebuild the same content');
+    runner.assertEqual(snapshots.length, trace.steps.length, 'One snapshot per step');
+    runner.assertContains(snapshots[1].html, '<strong>two', 'Auto-closed bold should show mid-stream');
+    runner.assertEqual(replayed.targetElement.innerHTML, source.targetElement.innerHTML, 'Final DOM should match the live session');
+});
+
+runner.test('Trace: Real-time replay keeps the recorded order', async () => {
+    const trace = {
+        version: 1,
+        options: {},
+        steps: [
+            { t: 0, op: 'append', chunk: 'Fast ' },
+            { t: 5, op: 'append', chunk: 'replay' },
+            { t: 10, op: 'finalize' }
+        ]
+    };
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    const { snapshots } = await replayTrace(trace, stream, { speed: 10, snapshot: (el) => el.textContent });
+
+    runner.assertEqual(snapshots.map(s => s.index).join(','), '0,1,2', 'Snapshots should be in step order');
+    runner.assertContains(snapshots[2].html, 'Fast replay', 'Final snapshot should hold all text');
+});
+
+// Recorded sessions under test/unit/traces replay to the same DOM as a one-shot render
+for (const file of readdirSync(new URL('./traces/', import.meta.url)).filter(name => name.endsWith('.json'))) {
+    runner.test('Trace: ' + file + ' matches a one-shot render', async () => {
+        const trace = readFileSync(new URL('./traces/' + file, import.meta.url), 'utf8');
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { ...JSON.parse(trace).options, schedule: 'sync' });
+        const { content } = await replayTrace(trace, stream, { snapshot: false });
+
+        const expected = createTarget();
+        await new MertexMD().renderInElement(expected, content);
+        runner.assertEqual(
+            stream.targetElement.innerHTML.replace(/\n/g, ''),
+            expected.innerHTML.replace(/\n/g, ''),
+            'Replayed DOM should match the one-shot render'
+        );
+    });
+}
+
+// ============================================================================
+// STREAMING CATEGORY 15: Streaming Equivalence
+// ============================================================================
+
+runner.test('Equivalence: diffDom reports paths of text, attribute and missing differences', async () => {
+    const expected = document.createElement('div');
+    const actual = document.createElement('div');
+    expected.innerHTML = '<p>One <strong>two</strong></p>\n<p class="a">Three</p><hr>';
+    actual.innerHTML = '<p>One   <strong>too</strong></p><p class="b" id="x">Three</p>';
+
+    const diffs = diffDom(expected, actual);
+    runner.assertEqual(diffs.length, 3, 'Whitespace and ids should not count');
+    runner.assertEqual(diffs[0].path, 'root > p:1 > strong:2 > #text:1', 'Text diff path');
+    runner.assertEqual(diffs[0].kind, 'text');
+    runner.assertEqual(diffs[1].path, 'root > p:2[class]', 'Attribute diff path');
+    runner.assertEqual(diffs[2].kind, 'missing', 'Trailing <hr> should be missing');
+});
+
+runner.test('Equivalence: Chunked renders match the one-shot render', async () => {
+    const markdown = '# Plan\n\nCosts $50 and **bold $x^2$** text.\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n```js\nconst x = 1;\n```\n\n- one\n- two';
+    const renderer = new MertexMD();
+
+    const random = await checkStreamEquivalence(renderer, markdown, { samples: 5, seed: 3 });
+    runner.assertTrue(random.equivalent, JSON.stringify(random.failures[0]?.diffs));
+    runner.assertEqual(random.runs, 5, 'One run per sample');
+
+    const each = await checkStreamEquivalence(renderer, markdown, { split: 'each', step: 7 });
+    runner.assertTrue(each.equivalent, JSON.stringify(each.failures[0]?.diffs));
+    runner.assertEqual(each.runs, Math.ceil((markdown.length - 1) / 7), 'One run per split offset');
+});
+
+runner.test('Equivalence: Failures carry the chunks that reproduce them', async () => {
+    // Streams every chunk as its own paragraph, so any split diverges
+    const renderer = {
+        renderInElement: async (element, markdown) => { element.innerHTML = '<p>' + markdown + '</p>'; },
+        createStreamRenderer: (targetElement) => ({
+            targetElement,
+            appendContent: async (chunk) => { targetElement.insertAdjacentHTML('beforeend', '<p>' + chunk + '</p>'); },
+            finalize: async () => {}
+        })
+    };
+
+    const result = await checkStreamEquivalence(renderer, 'abcdef', { split: [2, 4] });
+    runner.assertFalse(result.equivalent, 'Split output should be reported');
+    runner.assertEqual(result.failures[0].chunks.join('|'), 'ab|cd|ef', 'Chunks should be recorded');
+    runner.assertEqual(result.failures[0].diffs[0].kind, 'text');
+
+    const seeded = await checkStreamEquivalence(renderer, 'abcdefghij', { samples: 3, seed: 9 });
+    const again = await checkStreamEquivalence(renderer, 'abcdefghij', { samples: 3, seed: 9 });
+    runner.assertEqual(
+        JSON.stringify(seeded.failures.map(f => f.chunks)),
+        JSON.stringify(again.failures.map(f => f.chunks)),
+        'Same seed should give the same splits'
+    );
+});
+
+// The shared corpus in test/test-cases.js (a browser script, so it is evaluated here)
+const CORPUS = new Function(readFileSync(new URL('../test-cases.js', import.meta.url), 'utf8') + '\nreturn TEST_CASES;')();
+
+// Shapes the splitter has to keep together, on top of the corpus
+const STREAMING_SHAPES = [
+    { name: 'Late reference definition', content: 'See [the docs][1] and [more][].\n\nMore text here.\n\n[more]: https://example.org\n[1]: https://example.com' },
+    { name: 'Raw HTML block with blank lines', content: '<div class="note">\n\nSome **note** with $x^2$.\n\n</div>\n\nAfter.\n\n<details>\n<summary>More</summary>\n\n- hidden\n\n</details>\n' },
+    { name: 'HTML comment with blank lines', content: 'Intro.\n\n<!-- comment\n\nstill comment -->\n\nAfter the comment.\n' },
+    { name: 'Loose lists', content: '1. first\n\n2. second\n\n   continued\n\n3. third\n\nText.\n\n- a\n\n- b\n  - nested\n\n- c' },
+    { name: 'Mixed long answer', content: '# Result\n\nThe cost is $50 and $E = mc^2$.\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n```python\nprint(1)\n\nprint(2)\n```\n\n> quote\n> more\n\n$$\n\\int_0^1 x\\,dx\n$$\n\nDone.' }
+];
+
+runner.test('Equivalence: Test-case corpus streams to the one-shot DOM', async () => {
+    const renderer = new MertexMD();
+    const documents = [...CORPUS.filter(c => c.content.length < 1000), ...STREAMING_SHAPES];
+    for (const testCase of documents) {
+        const result = await checkStreamEquivalence(renderer, testCase.content, { samples: 4, seed: 7, maxFailures: 1 });
+        runner.assertTrue(result.equivalent, testCase.name + ': ' + JSON.stringify(result.failures[0]?.chunks) + ' ' + JSON.stringify(result.failures[0]?.diffs));
+    }
+});
+
+// ============================================================================
+// STREAMING CATEGORY 16: Code Highlighting
+// ============================================================================
+
+function fakeHljs() {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const lib = {
+        calls: [], // 'highlight:<language>' or 'auto', one per call
+        getLanguage: (name) => (['js', 'python'].includes(name) ? {} : undefined),
+        highlight: (text, { language }) => {
+            lib.calls.push('highlight:' + language);
+            return { value: '<span class="hl-' + language + '">' + escape(text) + '</span>', language };
+        },
+        highlightAuto: (text) => {
+            lib.calls.push('auto');
+            return { value: '<span class="hl-auto">' + escape(text) + '</span>', language: 'python' };
+        }
+    };
+    return lib;
+}
+
+async function streamInChunks(stream, text, size) {
+    for (let i = 0; i < text.length; i += size) {
+        await stream.appendContent(text.substring(i, i + size));
+    }
+    await stream.finalize();
+}
+
+runner.test('Highlight: Open code block is re-highlighted once per completed line', async () => {
+    const hljs = fakeHljs();
+    await withGlobals({ hljs }, async () => {
+        const lines = Array.from({ length: 20 }, (_, i) => 'const value' + i + ' = ' + i + ';');
+        const markdown = '```js\n' + lines.join('\n') + '\n```';
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+
+        await stream.appendContent('```js\nconst a');
+        runner.assertContains(stream.targetElement.innerHTML, 'const a', 'Partial line should show as plain text');
+        stream.reset();
+        hljs.calls.length = 0;
+
+        await streamInChunks(stream, markdown, 4);
+        runner.assertLessThan(hljs.calls.length, lines.length + 3, 'About one highlight per line, not per chunk');
+        runner.assertGreaterThan(stream.getStats().highlight.lineReuses, 20, 'Chunks within a line should reuse the highlighted lines');
+
+        const expected = createTarget();
+        await new MertexMD().renderInElement(expected, markdown);
+        runner.assertEqual(stream.targetElement.innerHTML, expected.innerHTML, 'Final block should match a one-shot render');
+    });
+});
+
+runner.test('Highlight: Language is guessed once there is enough code', async () => {
+    const hljs = fakeHljs();
+    await withGlobals({ hljs }, async () => {
+        const body = Array.from({ length: 12 }, (_, i) => 'print(' + i + ')').join('\n');
+        const stream = new MertexMD().createStreamRenderer(createTarget(), {
+            schedule: 'sync',
+            highlightAutoDetectLength: 40
+        });
+
+        await stream.appendContent('```\nprint(0)\nprint(1)\n');
+        runner.assertEqual(hljs.calls.length, 0, 'highlightAuto should wait for more code');
+
+        await streamInChunks(stream, body.substring('print(0)\nprint(1)\n'.length) + '\n```', 3);
+        const autoBeforeFinal = hljs.calls.lastIndexOf('auto');
+        runner.assertEqual(hljs.calls.filter(c => c === 'auto').length, 2, 'One guess while streaming, one for the closed block');
+        runner.assertTrue(hljs.calls.includes('highlight:python'), 'Guessed language should be reused for later lines');
+        runner.assertEqual(autoBeforeFinal, hljs.calls.length - 1, 'Closed block should be highlighted like a one-shot render');
+        runner.assertTrue(stream.getStats().highlight.detectSkipped > 0, 'Short block should have been shown plain');
+    });
+});
+
+runner.test('Highlight: Closed blocks in the re-rendered tail come from the cache', async () => {
+    const hljs = fakeHljs();
+    await withGlobals({ hljs }, async () => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync', freezeBlocks: false });
+        await stream.appendContent('```js\nlet x = 1;\n```\n\nSome');
+        const calls = hljs.calls.length;
+
+        await streamInChunks(stream, ' trailing text that keeps streaming', 5);
+        runner.assertEqual(hljs.calls.length, calls, 'Closed block should not be highlighted again');
+        runner.assertGreaterThan(stream.getStats().highlight.cacheHits, 5, 'Cache should serve every re-render');
+        runner.assertContains(stream.targetElement.innerHTML, 'hl-js', 'Block should stay highlighted');
+    });
+});
+
+// ============================================================================
+// STREAMING CATEGORY 17: Follow Mode
+// ============================================================================
+
+/**
+ * jsdom has no layout: stack the target's blocks at heightOf(block) pixels
+ * each inside a 100px-high scroll container and run fn with it
+ */
+async function withScrollLayout(heightOf, fn) {
+    const target = document.createElement('div');
+    const container = document.createElement('div');
+    container.appendChild(target);
+    document.body.appendChild(container);
+
+    const layout = () => {
+        const tops = new Map();
+        let height = 0;
+        for (const child of target.children) {
+            tops.set(child, height);
+            height += heightOf(child);
+        }
+        return { tops, height };
+    };
+    let scrollTop = 0;
+    Object.defineProperty(container, 'clientHeight', { get: () => 100 });
+    Object.defineProperty(container, 'scrollHeight', { get: () => Math.max(100, layout().height) });
+    Object.defineProperty(container, 'scrollTop', {
+        get: () => scrollTop,
+        set: (value) => { scrollTop = Math.max(0, Math.min(value, container.scrollHeight - 100)); }
+    });
+    container.getBoundingClientRect = () => ({ top: 0, bottom: 100 });
+
+    const proto = document.defaultView.Element.prototype;
+    const original = proto.getBoundingClientRect;
+    proto.getBoundingClientRect = function() {
+        if (this.parentNode !== target) return original.call(this);
+        const top = layout().tops.get(this) - scrollTop;
+        return { top, bottom: top + heightOf(this) };
+    };
+    const userScroll = (value) => {
+        container.scrollTop = value;
+        container.dispatchEvent(new document.defaultView.Event('scroll'));
+    };
+    try {
+        await fn({ target, container, userScroll });
+    } finally {
+        proto.getBoundingClientRect = original;
+    }
+}
+
+const paragraphs = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => 'Paragraph ' + (from + i) + '.\n\n').join('');
+
+runner.test('Follow: Container stays pinned to the bottom while streaming', async () => {
+    await withScrollLayout(() => 40, async ({ target, container }) => {
+        const stream = new MertexMD().createStreamRenderer(target, { schedule: 'sync', follow: container });
+        for (let i = 1; i <= 6; i++) {
+            await stream.appendContent(paragraphs(i, i));
+            runner.assertEqual(container.scrollTop, container.scrollHeight - 100, 'Should be at the bottom after paragraph ' + i);
+        }
+        runner.assertTrue(stream.following, 'Should still be following');
+        runner.assertGreaterThan(stream.getStats().follow.pinned, 0, 'Pins should be counted');
+    });
+});
+
+runner.test('Follow: Scrolling up stops following, scrolling to the bottom resumes', async () => {
+    await withScrollLayout(() => 40, async ({ target, container, userScroll }) => {
+        const stream = new MertexMD().createStreamRenderer(target, { schedule: 'sync', follow: container });
+        await stream.appendContent(paragraphs(1, 6));
+
+        userScroll(50);
+        await stream.appendContent(paragraphs(7, 8));
+        runner.assertFalse(stream.following, 'Upward scroll should stop following');
+        runner.assertEqual(container.scrollTop, 50, 'Viewport should stay where the user left it');
+
+        userScroll(container.scrollHeight - 100);
+        await stream.appendContent(paragraphs(9, 9));
+        runner.assertTrue(stream.following, 'Reaching the bottom should resume following');
+        runner.assertEqual(container.scrollTop, container.scrollHeight - 100, 'New content should be followed again');
+
+        userScroll(0);
+        stream.scrollToBottom();
+        runner.assertTrue(stream.following, 'scrollToBottom() should resume following');
+        runner.assertEqual(container.scrollTop, container.scrollHeight - 100, 'scrollToBottom() should jump to the bottom');
+        stream.dispose();
+    });
+});
+
+runner.test('Follow: Viewport is anchored when a diagram above it renders', async () => {
+    const heightOf = (element) => (element.querySelector('svg') ? 300 : 40);
+    await withGlobals({ mermaid: undefined }, async () => {
+        await withScrollLayout(heightOf, async ({ target, container, userScroll }) => {
+            const stream = new MertexMD().createStreamRenderer(target, { schedule: 'sync', follow: container });
+            await stream.appendContent('Intro\n\n```mermaid\ngraph TD\n  A-->B\n```\n\n' + paragraphs(1, 8));
+
+            userScroll(130); // Paragraph 3 is the first block starting in view, 30px down
+            const anchor = Array.from(target.children).find(el => el.textContent.includes('Paragraph 3'));
+            runner.assertEqual(anchor.getBoundingClientRect().top, 30);
+
+            global.mermaid = fakeMermaidLib();
+            await stream.finalize();
+            runner.assertTrue(target.querySelector('.mermaid-container svg') !== null, 'Diagram should have rendered');
+            runner.assertEqual(container.scrollTop, 390, 'Scroll should absorb the 260px the diagram added');
+            runner.assertEqual(anchor.getBoundingClientRect().top, 30, 'Anchor should stay put');
+            runner.assertEqual(stream.getStats().follow.anchored, 1);
+        });
+    });
+});
+
+// ============================================================================
+// STREAMING CATEGORY 18: Selection and Focus
+// ============================================================================
+
+function selectText(element, start, end) {
+    const text = document.createTreeWalker(element, NodeFilter.SHOW_TEXT).nextNode();
+    document.getSelection().setBaseAndExtent(text, start, text, end);
+}
+
+runner.test('Selection: Selection in the streaming paragraph survives updates', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Hello world');
+    const paragraph = stream.targetElement.querySelector('p');
+    selectText(paragraph, 3, 9);
+    runner.assertEqual(document.getSelection().toString(), 'lo wor');
+
+    await stream.appendContent(' and more text');
+    await stream.appendContent(' **bold**');
+    runner.assertFalse(stream.targetElement.querySelector('p') === paragraph, 'Paragraph should have been replaced');
+    runner.assertEqual(document.getSelection().toString(), 'lo wor', 'Selection should be on the same text');
+
+    await stream.finalize();
+    runner.assertEqual(document.getSelection().toString(), 'lo wor', 'Selection should survive finalize');
+    runner.assertGreaterThan(stream.getStats().incremental.selectionsRestored, 0);
+});
+
+runner.test('Selection: Selection from a finished block into the tail survives updates', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('# Title\n\nFirst paragraph.\n\nSecond para');
+    const [first, second] = stream.targetElement.querySelectorAll('p');
+    const start = document.createTreeWalker(first, NodeFilter.SHOW_TEXT).nextNode();
+    const end = document.createTreeWalker(second, NodeFilter.SHOW_TEXT).nextNode();
+    document.getSelection().setBaseAndExtent(start, 6, end, 6);
+    const selected = document.getSelection().toString();
+
+    await stream.appendContent('graph keeps going');
+    runner.assertEqual(document.getSelection().toString(), selected, 'Cross-block selection should be kept');
+    runner.assertTrue(document.getSelection().anchorNode === start, 'Surviving node should keep the anchor');
+});
+
+runner.test('Selection: Not restored when the text before it changed', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Hello world');
+    selectText(stream.targetElement.querySelector('p'), 0, 5);
+
+    await stream.setContent('Goodbye world');
+    runner.assertEqual(stream.getStats().incremental.selectionsRestored, 0, 'Different text should not be selected');
+
+    const off = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync', preserveSelection: false });
+    await off.appendContent('Hello world');
+    selectText(off.targetElement.querySelector('p'), 0, 5);
+    await off.appendContent(' again');
+    runner.assertEqual(off.getStats().incremental.selectionsRestored, 0, 'preserveSelection: false should leave it alone');
+    runner.assertNotContains(document.getSelection().toString(), 'Hello', 'Selection should be lost without it');
+});
+
+runner.test('Selection: Focused link is re-focused after its block is replaced', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('See [the docs](https://example.com) for');
+    stream.targetElement.querySelector('a').focus();
+    runner.assertEqual(document.activeElement.tagName, 'A');
+
+    await stream.appendContent(' details');
+    runner.assertEqual(document.activeElement.tagName, 'A', 'Link should keep focus');
+    runner.assertTrue(stream.targetElement.contains(document.activeElement), 'Focus should be on the new link');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 19: Rewind and Edits
+// ============================================================================
+
+async function assertRendersLikeOneShot(element, markdown, message) {
+    const expected = createTarget();
+    await new MertexMD().renderInElement(expected, markdown);
+    runner.assertEqual(JSON.stringify(diffDom(expected, element)), '[]', message);
+}
+
+runner.test('Rewind: Dropping the end keeps the blocks before it', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    const kept = 'First paragraph.\n\nSecond paragraph.\n\n';
+    await stream.appendContent(kept + 'Third paragraph.\n\nFourth');
+    const first = stream.targetElement.querySelector('p');
+    const frozenBefore = stream.getStats().frozenLength;
+
+    await stream.rewind('Third paragraph.\n\nFourth'.length);
+    runner.assertEqual(stream.getContent(), kept);
+    runner.assertTrue(stream.targetElement.querySelector('p') === first, 'First paragraph node should be kept');
+    runner.assertNotContains(stream.targetElement.textContent, 'Third', 'Dropped text should be gone');
+    runner.assertEqual(stream.getStats().frozenLength, 'First paragraph.\n\n'.length, 'Frozen blocks before the cut should be kept');
+    runner.assertGreaterThan(frozenBefore, stream.getStats().frozenLength - 1);
+
+    await stream.appendContent('A new ending.');
+    await stream.finalize();
+    await assertRendersLikeOneShot(stream.targetElement, kept + 'A new ending.', 'Regenerated answer should render like a fresh one');
+});
+
+runner.test('Rewind: setContent re-renders only after the first difference', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    const events = recordEvents(stream, ['blockcomplete']);
+    await stream.appendContent('# Title\n\nOne.\n\nTwo is a longer line.\n\nThree.\n\nFour');
+    const heading = stream.targetElement.querySelector('h1');
+    const completed = events.length;
+
+    const edited = '# Title\n\nOne.\n\nTwo is a longer line. Edited.\n\nThree.\n\nFour';
+    await stream.setContent(edited);
+    runner.assertTrue(stream.targetElement.querySelector('h1') === heading, 'Heading before the edit should be kept');
+    const refrozen = events.slice(completed).map(event => event.payload.offset);
+    runner.assertGreaterThan(refrozen.length, 0, 'Blocks after the edit should be frozen again');
+    runner.assertTrue(refrozen.every(offset => offset >= '# Title\n\nOne.\n\n'.length), 'Only blocks from the edit on should be frozen again');
+
+    await stream.finalize();
+    await assertRendersLikeOneShot(stream.targetElement, edited);
+});
+
+runner.test('Rewind: A boundary confirmed by edited text is dropped', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Para one.\n\nNext line\n');
+    runner.assertEqual(stream.getStats().frozenLength, 'Para one.\n\n'.length);
+
+    // An indented line after the blank line no longer starts a new block
+    await stream.setContent('Para one.\n\n    code');
+    runner.assertEqual(stream.getStats().frozenLength, 0, 'Boundary should be re-checked');
+    await stream.finalize();
+    await assertRendersLikeOneShot(stream.targetElement, 'Para one.\n\n    code');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 20: Streaming Tables
+// ============================================================================
+
+runner.test('Tables: Header row renders as a table before its delimiter row', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Intro.\n\n| Name | Val');
+    const headers = Array.from(stream.targetElement.querySelectorAll('th')).map(th => th.textContent.trim());
+    runner.assertEqual(JSON.stringify(headers), '["Name","Val"]', 'Header cells should render while typed');
+    runner.assertNotContains(stream.targetElement.textContent, '|', 'Pipes should not show as text');
+
+    await stream.appendContent('ue |\n|');
+    runner.assertEqual(stream.targetElement.querySelectorAll('th').length, 2, 'Table should stay up while the delimiter row starts');
+});
+
+runner.test('Tables: A line that only starts with a pipe stays a paragraph', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('Intro.\n\n| not a table, just a pipe line');
+    runner.assertEqual(stream.targetElement.querySelectorAll('table').length, 0, 'One pipe is no header');
+    runner.assertEqual(closeMarkdown('| a \\| b').text, '| a \\| b', 'An escaped pipe does not start a cell');
+
+    await stream.appendContent(' | second cell');
+    runner.assertEqual(stream.targetElement.querySelectorAll('th').length, 2, 'An inner pipe makes it a header');
+});
+
+runner.test('Tables: Partial last row is held back', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('| a | b |\n| --- | --- |\n| 1 | 2 |\n| 3 | fo');
+    runner.assertEqual(stream.targetElement.querySelectorAll('tbody tr').length, 1, 'Only complete rows should render');
+    runner.assertNotContains(stream.targetElement.textContent, 'fo', 'Partial row should not leak as text');
+
+    await stream.appendContent('ur |\n');
+    runner.assertEqual(stream.targetElement.querySelectorAll('tbody tr').length, 2, 'Row should appear once its line is complete');
+});
+
+runner.test('Tables: Rows are appended to the same table node', async () => {
+    const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync' });
+    await stream.appendContent('| a | b |\n| --- | --- |\n');
+    const table = stream.targetElement.querySelector('table');
+    const markdown = '| a | b |\n| --- | --- |\n| 1 | 2 |\n| 3 | 4 |\n| 5 | 6 |\n';
+
+    await streamInChunks(stream, markdown.substring('| a | b |\n| --- | --- |\n'.length), 3);
+    runner.assertTrue(stream.targetElement.querySelector('table') === table, 'Table node should be kept');
+    const firstRow = table.querySelector('tbody tr');
+    runner.assertEqual(stream.getStats().incremental.rowsAppended, 3);
+
+    await stream.finalize();
+    runner.assertTrue(table.querySelector('tbody tr') === firstRow, 'Rows should be kept by finalize()');
+    await assertRendersLikeOneShot(stream.targetElement, markdown, 'Streamed table should match the one-shot render');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 21: Render Worker
+// ============================================================================
+
+// worker_threads stands in for a Web Worker; the worker script has no DOM and
+// a stand-in KaTeX that tags what it renders with data-worker
+async function withRenderWorker(fn) {
+    const worker = new Worker(new URL('./workers/render-worker.js', import.meta.url));
+    try {
+        await fn(worker);
+    } finally {
+        await worker.terminate();
+    }
+}
+
+const WORKER_DOC = '# Report\n\nSome **bold** and a [link](https://example.com).\n\n' +
+    '| a | b |\n| --- | --- |\n| 1 | 2 |\n\n```js\nconst x = 1;\n```\n\n' +
+    '```mermaid\ngraph TD\n  A --> B\n```\n\n- one\n- two <img src="x" onerror="alert(1)">\n';
+
+runner.test('Worker: Rendering in the worker matches the main-thread pipeline', async () => {
+    await withRenderWorker(async (worker) => {
+        const mertex = new MertexMD({ worker });
+        const expected = await renderMarkdown(WORKER_DOC, { ...new MertexMD().options });
+        const result = await mertex.renderFull(WORKER_DOC);
+
+        runner.assertEqual(result.html, expected.html, 'HTML should match');
+        runner.assertEqual(JSON.stringify([...result.mermaidMap]), JSON.stringify([...expected.mermaidMap]));
+        runner.assertNotContains(result.html, 'onerror', 'Main thread should sanitize what the worker could not');
+        runner.assertEqual(mertex.options.worker.getStats().renders, 1);
+    });
+});
+
+runner.test('Worker: Formulas are rendered to strings in the worker', async () => {
+    await withRenderWorker(async (worker) => {
+        const html = await new MertexMD({ worker }).render('Euler: $e^{i\\pi} + 1 = 0$ and $$x^2$$');
+        runner.assertContains(html, 'data-worker="inline"', 'Inline formula should come from the worker');
+        runner.assertContains(html, 'katex-display-wrapper', 'Display formula should be wrapped as usual');
+        runner.assertNotContains(html, '::MATH_', 'No placeholder should be left');
+    });
+});
+
+runner.test('Worker: Streamed answer patches the same DOM as a one-shot render', async () => {
+    await withRenderWorker(async (worker) => {
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync', worker });
+        const events = recordEvents(stream, ['math', 'blockcomplete']);
+        const markdown = WORKER_DOC.replace(/```mermaid[\s\S]*?```\n\n/, '') + '\nInline $a+b$ math.';
+        await streamInChunks(stream, markdown, 7);
+
+        runner.assertTrue(stream.targetElement.querySelector('[data-worker]') !== null, 'Formula should be rendered by the worker');
+        runner.assertEqual(events.filter(event => event.name === 'math').length, 1, 'math event should fire once');
+        runner.assertGreaterThan(stream.getStats().worker.renders, 1);
+
+        await stream.finalize();
+        const expected = createTarget();
+        expected.innerHTML = await new MertexMD({ worker }).render(markdown);
+        runner.assertEqual(JSON.stringify(diffDom(expected, stream.targetElement)), '[]');
+    });
+});
+
+// The worker end of a channel, driven from the test: send() delivers a
+// message as the page would, `posted` collects the replies
+function createWorkerPort() {
+    const listeners = new Set();
+    return {
+        posted: [],
+        on(type, handler) { listeners.add(handler); },
+        off(type, handler) { listeners.delete(handler); },
+        postMessage(message) { this.posted.push(message); },
+        send(message) { listeners.forEach(handler => handler(message)); }
+    };
+}
+
+runner.test('Worker: Each stream gets its own formula cache until released', async () => {
+    let renders = 0;
+    const countingKatex = { renderToString: (source) => { renders++; return '<span class="katex">' + source + '</span>'; } };
+    await withGlobals({ katex: countingKatex }, () => {
+        const port = createWorkerPort();
+        const stop = startRenderWorker(port);
+        const render = (stream) => port.send({ type: 'mertex:render', id: 1, text: 'Sum $a+b$', stream, options: {} });
+
+        render(1);
+        render(1);
+        runner.assertEqual(renders, 1, 'A stream reuses the formulas it rendered');
+        render(2);
+        runner.assertEqual(renders, 2, 'Another stream does not see them');
+        render(undefined);
+        runner.assertEqual(renders, 3, 'A render outside a stream starts from scratch');
+        port.send({ type: 'mertex:release', stream: 1 });
+        render(1);
+        runner.assertEqual(renders, 4, 'A released stream starts over');
+        runner.assertEqual(port.posted.filter(message => message.error === undefined).length, 5);
+        stop();
+    });
+});
+
+runner.test('Worker: Renders in flight fail when the worker exits', async () => {
+    await withRenderWorker(async (worker) => {
+        const client = new RenderWorkerClient(worker);
+        worker.postMessage({ type: 'test:exit' });
+        const error = await client.render('Never *rendered*').then(() => null, e => e);
+        runner.assertTrue(error instanceof Error && error.message.includes('exited with code 3'), 'Pending render should reject');
+        runner.assertEqual(client.getStats().pending, 0);
+
+        const later = await client.render('Later').then(() => null, e => e);
+        runner.assertTrue(later === error, 'Renders after the exit fail straight away');
+    });
+});
+
+runner.test('Worker: A disposed stream releases its worker state', async () => {
+    await withRenderWorker(async (worker) => {
+        const client = RenderWorkerClient.from(worker);
+        const posted = [];
+        const postMessage = worker.postMessage.bind(worker);
+        worker.postMessage = (message) => { posted.push(message); postMessage(message); };
+
+        const stream = new MertexMD().createStreamRenderer(createTarget(), { schedule: 'sync', worker });
+        await stream.appendContent('Hello');
+        stream.dispose();
+        const streams = new Set(posted.filter(message => message.type === 'mertex:render').map(message => message.stream));
+        runner.assertEqual(streams.size, 1, 'Renders should name the stream');
+        runner.assertEqual(JSON.stringify(posted[posted.length - 1]), JSON.stringify({ type: 'mertex:release', stream: [...streams][0] }));
+        runner.assertEqual(client.getStats().pending, 0);
+
+        const sent = posted.length;
+        stream.reset();
+        runner.assertEqual(posted.length, sent, 'reset() after dispose() does not release the stream again');
+        runner.assertEqual(stream._workerStream, null, 'nor open a new one');
+    });
+});
+
+// ============================================================================
+// STREAMING CATEGORY 22: Server-Side Rendering
+// ============================================================================
+
+const SSR_KATEX = { renderToString: (tex, options) => '<span class="katex" data-display="' + !!options.displayMode + '">' + tex + '</span>' };
+
+// Render as plain Node would: no DOM, no library globals
+async function renderWithoutGlobals(markdown, options = {}) {
+    const marked = global.marked;
+    let html;
+    await withGlobals({ marked: undefined, DOMPurify: undefined, katex: undefined, document: undefined }, async () => {
+        html = await renderToString(markdown, { marked, katex: SSR_KATEX, ...options });
+    });
+    return html;
+}
+
+function parseHtml(html) {
+    const element = createTarget();
+    element.innerHTML = html;
+    return element;
+}
+
+const SSR_DOC = '# Title\n\nPrice $5 and $x^2 + y^2$ inline.\n\n$$\\int_0^1 x\\,dx$$\n\n' +
+    '```katex\nE = mc^2\n```\n\n| a | b |\n| --- | --- |\n| 1 | 2 |\n\n' +
+    '- [link](https://example.com "Title") and `code`\n- <b>raw</b> <img src="x.png" onerror="alert(1)">\n';
+
+runner.test('SSR: renderToString without globals matches the browser render', async () => {
+    const html = await renderWithoutGlobals(SSR_DOC);
+    runner.assertContains(html, 'class="katex"', 'Math should be pre-rendered');
+    runner.assertNotContains(html, 'katex-placeholder', 'katex blocks should be pre-rendered');
+    runner.assertNotContains(html, 'onerror', 'Fallback sanitizer should strip handlers');
+
+    const browser = createTarget();
+    await withGlobals({ katex: SSR_KATEX }, () => new MertexMD().renderInElement(browser, SSR_DOC));
+    runner.assertEqual(JSON.stringify(diffDom(browser, parseHtml(html))), '[]');
+});
+
+runner.test('SSR: DOM-free sanitizer agrees with DOMPurify on hostile markup', async () => {
+    const config = {
+        ALLOWED_TAGS: ['p', 'a', 'img', 'b', 'div', 'span', 'svg', 'path'],
+        ALLOWED_ATTR: ['href', 'src', 'alt', 'class', 'title', 'd', 'viewBox']
+    };
+    const cases = [
+        '<p>ok <script>alert(1)</script>after</p>',
+        '<a href="javascript:alert(1)">x</a><a href="jav&#x09;ascript&colon;alert(1)">y</a>',
+        '<a href="https://example.com/?a=1&amp;b=2" title=\'say "hi"\'>z</a>',
+        '<img src=x onerror=alert(1)><img src="data:image/png;base64,AAAA">',
+        '<div><style>p{}</style><iframe src="x"></iframe><u>kept text</u></div>',
+        '<!-- comment --><p>1 < 2 and 3 > 2</p>',
+        '<svg viewBox="0 0 10 10"><path d="M0 0"/></svg>'
+    ];
+    for (const html of cases) {
+        const expected = parseHtml(DOMPurify.sanitize(html, config));
+        const actual = parseHtml(sanitizeMarkup(html, config));
+        runner.assertEqual(JSON.stringify(diffDom(expected, actual)), '[]', html);
+    }
+    // A browser would read this as a tag; the fallback shows it as text
+    runner.assertEqual(sanitizeMarkup('<p>x <img/src=x onerror=alert(1)></p>', config), '<p>x &lt;img/src=x onerror=alert(1)></p>');
+});
+
+runner.test('SSR: Mermaid diagrams are left marked for the client', async () => {
+    const markdown = 'Flow:\n\n```mermaid\ngraph TD\n  A --> B\n```\n';
+    const element = parseHtml(await renderWithoutGlobals(markdown));
+    const placeholder = element.querySelector('.mermaid-placeholder[data-mermaid-id]');
+    runner.assertTrue(placeholder !== null, 'Placeholder should be kept');
+    runner.assertEqual(placeholder.textContent, 'graph TD\n  A --> B', 'Source should travel with the placeholder');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 23: Hydration
+// ============================================================================
+
+// Stand-in KaTeX that, like the real one, keeps the source in a MathML annotation
+function annotatingKatex() {
+    const lib = {
+        calls: 0,
+        renderToString: (tex, options) => {
+            lib.calls++;
+            const html = '<span class="katex"><span class="katex-mathml"><math><semantics><mrow></mrow>' +
+                '<annotation encoding="application/x-tex">' + tex + '</annotation></semantics></math></span>' +
+                '<span class="katex-html">' + tex + '</span></span>';
+            return options.displayMode ? '<span class="katex-display">' + html + '</span>' : html;
+        }
+    };
+    return lib;
+}
+
+runner.test('Hydrate: Server-rendered blocks and formulas are kept and streaming continues', async () => {
+    const markdown = '# Answer\n\nEnergy is $E = mc^2$.\n\n$$a^2 + b^2$$\n\nSo far';
+    const element = createTarget();
+    element.innerHTML = await renderToString(markdown, { marked: global.marked, katex: annotatingKatex() });
+    const heading = element.querySelector('h1');
+    const formula = element.querySelector('.katex');
+
+    const client = annotatingKatex();
+    await withGlobals({ katex: client }, async () => {
+        const stream = await new MertexMD().hydrate(element, markdown, { schedule: 'sync' });
+        runner.assertEqual(stream.getContent(), markdown);
+        runner.assertEqual(client.calls, 0, 'Pre-rendered formulas should come from the primed cache');
+        runner.assertTrue(element.querySelector('h1') === heading && element.querySelector('.katex') === formula,
+            'Server-rendered nodes should be adopted');
+
+        await stream.appendContent(', and more.');
+        await stream.finalize();
+        runner.assertTrue(element.querySelector('.katex') === formula, 'Blocks before the new text should be kept');
+        runner.assertEqual(client.calls, 0, 'No formula should be rendered again');
+        await assertRendersLikeOneShot(element, markdown + ', and more.');
+    });
+});
+
+runner.test('Hydrate: Only outstanding diagrams are rendered', async () => {
+    const markdown = 'Flow:\n\n```mermaid\ngraph TD\n  A --> B\n```\n\nDone.';
+    const element = createTarget();
+    element.innerHTML = await renderToString(markdown, { marked: global.marked });
+    const lib = fakeMermaidLib();
+    await withGlobals({ mermaid: lib }, async () => {
+        await new MertexMD().hydrate(element, markdown, { schedule: 'sync' });
+        runner.assertEqual(lib.renders.length, 1, 'Placeholder diagram should be rendered once');
+        runner.assertTrue(element.querySelector('.mermaid-container svg') !== null);
+
+        // A snapshot with the diagram already rendered needs no mermaid call
+        const snapshot = createTarget();
+        snapshot.innerHTML = element.innerHTML;
+        await new MertexMD({ cache: false }).hydrate(snapshot, markdown, { schedule: 'sync' });
+        runner.assertEqual(lib.renders.length, 1, 'Rendered diagram should be reused');
+    });
+});
+
+runner.test('Hydrate: DOM that does not match the markdown is re-rendered', async () => {
+    const element = createTarget();
+    element.innerHTML = '<p>Something else</p><ul><li>entirely</li></ul>';
+    const stream = new MertexMD().createStreamRenderer(element, { schedule: 'sync' });
+    runner.assertFalse(await stream.hydrate('# Title\n\nBody text.'), 'Mismatched DOM should not be adopted');
+    await assertRendersLikeOneShot(element, '# Title\n\nBody text.');
+});
+
+// ============================================================================
+// STREAMING CATEGORY 24: Server-Side Streaming
+// ============================================================================
+
+// Drive renderToStream() without globals; `log` records chunks read and
+// fragments yielded in the order they happened
+async function streamWithoutGlobals(chunks, options = {}) {
+    const marked = global.marked;
+    const log = [];
+    async function* source() {
+        for (const chunk of chunks) {
+            log.push({ chunk });
+            yield chunk;
+        }
+    }
+    await withGlobals({ marked: undefined, DOMPurify: undefined, katex: undefined, document: undefined }, async () => {
+        for await (const html of renderToStream(source(), { marked, katex: SSR_KATEX, ...options })) {
+            log.push({ html });
+        }
+    });
+    return { log, fragments: log.filter(entry => entry.html !== undefined).map(entry => entry.html) };
+}
+
+runner.test('SSR stream: Completed blocks are yielded before the stream ends', async () => {
+    const { log, fragments } = await streamWithoutGlobals(['# Title\n\nFirst', ' paragraph.\n\nSecond', ' para $x^2$.\n\nThird', ' para.']);
+    runner.assertEqual(fragments.length, 3, 'One fragment per finished block, then the tail');
+    runner.assertContains(fragments[0], '<h1', 'Heading comes first');
+    runner.assertEqual(log.findIndex(entry => entry.html), 2, 'Heading is complete once the next block has a whole line');
+    runner.assertContains(fragments[1], 'First paragraph.');
+    runner.assertContains(fragments[2], 'class="katex"', 'Math should be pre-rendered');
+    const tail = log.findIndex(entry => entry.html && entry.html.includes('Second'));
+    runner.assertEqual(tail, log.length - 1, 'Open tail waits for the end of the stream');
+});
+
+runner.test('SSR stream: Fragments add up to renderToString of the whole text', async () => {
+    const chunks = [];
+    for (let i = 0; i < SSR_DOC.length; i += 7) chunks.push(SSR_DOC.substring(i, i + 7));
+    const { fragments } = await streamWithoutGlobals(chunks);
+    runner.assertTrue(fragments.length > 1, 'Document should arrive in several fragments');
+    const whole = await renderWithoutGlobals(SSR_DOC);
+    runner.assertEqual(JSON.stringify(diffDom(parseHtml(whole), parseHtml(fragments.join('')))), '[]');
+});
+
+runner.test('SSR stream: Joined fragments match renderToString for any chunking', async () => {
+    const docs = [
+        SSR_DOC,
+        '1. a\n\n2. b\n\n3. c\n',
+        '<div class="note">\n\nSome **note**.\n\n</div>\n\nAfter.\n',
+        'See [the docs][1] first.\n\nMore text here.\n\n[1]: https://example.com\n',
+        '# Tasks\n\n- [ ] one\n- [x] two\n\n```js\nconst a = b[0];\n```\n\nDone.\n'
+    ];
+    for (const markdown of docs) {
+        const whole = parseHtml(await renderWithoutGlobals(markdown));
+        for (const size of [1, 3, 7, 16]) {
+            const chunks = [];
+            for (let i = 0; i < markdown.length; i += size) chunks.push(markdown.substring(i, i + size));
+            const { fragments } = await streamWithoutGlobals(chunks);
+            const diffs = diffDom(whole, parseHtml(fragments.join('')));
+            runner.assertEqual(JSON.stringify(diffs), '[]', JSON.stringify(markdown) + ' in chunks of ' + size);
+        }
+    }
+});
+
+runner.test('SSR stream: A block with a reference label waits for the end', async () => {
+    const { log, fragments } = await streamWithoutGlobals(['Intro.\n\nSee [the docs][1].\n\nMore.\n\n', '[1]: https://example.com\n']);
+    runner.assertContains(fragments[0], 'Intro.');
+    runner.assertEqual(fragments.length, 2, 'Everything from the label on is one fragment');
+    runner.assertEqual(log.findIndex(entry => entry.html && entry.html.includes('docs')), log.length - 1);
+    runner.assertContains(fragments[1], 'href="https://example.com"', 'The late definition applies');
+
+    const tasks = await streamWithoutGlobals(['- [ ] todo\n\n`a[0]` code\n\n', 'Next.\n\nEnd']);
+    runner.assertEqual(tasks.fragments.length, 3, 'Task boxes and code spans are not labels');
+});
+
+runner.test('SSR stream: Open code fence is held back until it closes', async () => {
+    const { log, fragments } = await streamWithoutGlobals(['Intro.\n\n```js\nconst a = 1;\n\n', 'const b = 2;\n```\n\nAfter.\n']);
+    runner.assertEqual(fragments.length, 3);
+    const code = log.findIndex(entry => entry.html && entry.html.includes('<pre'));
+    runner.assertTrue(code > log.findIndex(entry => entry.chunk && entry.chunk.includes('```\n')), 'Code block should wait for its closing fence');
+    runner.assertContains(fragments[1], 'const b = 2;', 'Code block should be one fragment');
+});
+
+runner.test('SSR stream: Abort drops the open tail', async () => {
+    const controller = new AbortController();
+    const marked = global.marked;
+    const fragments = [];
+    async function* source() {
+        yield 'Done.\n\nNext line\n';
+        controller.abort();
+        yield ' more.';
+    }
+    await withGlobals({ marked: undefined, DOMPurify: undefined, katex: undefined, document: undefined }, async () => {
+        for await (const html of renderToStream(source(), { marked, signal: controller.signal })) fragments.push(html);
+    });
+    runner.assertEqual(fragments.length, 1, 'Only the completed block should be sent');
+    runner.assertContains(fragments[0], 'Done.');
+});
@@ -0,0 +1,22 @@
+/**
+ * Render worker used by the streaming tests (Node worker_threads standing in
+ * for a Web Worker). Like a browser worker it has no DOM, so DOMPurify is
+ * left to the main thread; a stand-in KaTeX marks the formulas it renders.
+ */
+
+import { parentPort } from 'worker_threads';
+import { marked } from 'marked';
+import { startRenderWorker } from '../../../src/core/render-worker.js';
+
+globalThis.marked = marked;
+globalThis.katex = {
+    renderToString: (source, options) =>
+        '<span class="katex" data-worker="' + (options.displayMode ? 'display' : 'inline') + '">' + source + '</span>'
+};
+
+// Lets a test make the worker exit while renders are outstanding
+parentPort.on('message', (message) => {
+    if (message.type === 'test:exit') process.exit(3);
+});
+
+startRenderWorker(parentPort);